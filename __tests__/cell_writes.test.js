@@ -0,0 +1,265 @@
+const {
+    ERROR_COLOR,
+    parseHexColor,
+    parseConfidenceColors,
+    getWriteSource,
+    buildProvenanceNote,
+    mergeProvenanceNote,
+    planCellWrites,
+    applyCellWrites,
+} = require('../lib/cell_writes');
+
+describe('Cell Writes', () => {
+    let cells;
+
+    beforeEach(() => {
+        cells = {
+            name: { value: '' },
+            number: { value: '' },
+            grade: { value: '' },
+            value: { value: '' },
+            confidence: { value: '' },
+        };
+    });
+
+    describe('getWriteSource', () => {
+        test('should attribute metadata to PSA and values to CL', () => {
+            expect(getWriteSource('name', 'BOTH')).toBe('PSA');
+            expect(getWriteSource('grade', 'BOTH')).toBe('PSA');
+            expect(getWriteSource('value', 'BOTH')).toBe('CL');
+            expect(getWriteSource('confidence', 'CONFIDENCE')).toBe('CL');
+        });
+
+        test('should attribute grade to CL in CL mode', () => {
+            expect(getWriteSource('grade', 'CL')).toBe('CL');
+        });
+    });
+
+    describe('planCellWrites', () => {
+        test('should plan value writes for each instruction', () => {
+            const writes = planCellWrites(
+                { writeName: 'Pikachu', writeValue: 51, writeConfidence: 4 },
+                cells,
+                'BOTH'
+            );
+
+            expect(writes.map(({ field, property, value }) => [field, property, value])).toEqual([
+                ['name', 'value', 'Pikachu'],
+                ['value', 'value', 51],
+                ['confidence', 'value', 4],
+            ]);
+        });
+
+        test('should skip confidence of 0 and fields without a column', () => {
+            cells.name = null;
+            const writes = planCellWrites(
+                { writeName: 'Pikachu', writeConfidence: 0 },
+                cells,
+                'BOTH'
+            );
+
+            expect(writes).toEqual([]);
+        });
+
+        test('should plan error colors', () => {
+            const writes = planCellWrites(
+                { writePsaErrorColor: true, writeErrorColor: true, writeValue: 'No comps' },
+                cells,
+                'BOTH'
+            );
+            const colored = writes.filter((w) => w.property === 'backgroundColor');
+
+            expect(colored.map((w) => w.field)).toEqual(['name', 'number', 'grade', 'value']);
+            expect(colored[0].value).toEqual(ERROR_COLOR);
+        });
+    });
+
+    describe('planCellWrites provenance', () => {
+        test('should use the source reported by processRow', () => {
+            const writes = planCellWrites(
+                { writeValue: 51, provenance: { value: { source: 'CL API', raw: 50.2 } } },
+                cells,
+                'BOTH'
+            );
+
+            expect(writes[0]).toEqual(expect.objectContaining({ source: 'CL API', raw: 50.2 }));
+        });
+    });
+
+    describe('parseConfidenceColors', () => {
+        test('should convert hex colors to Sheets colors', () => {
+            expect(parseHexColor('#ff0033')).toEqual({ red: 1, green: 0, blue: 0.2 });
+        });
+
+        test('should parse a custom scale', () => {
+            const scale = parseConfidenceColors('1:#ff0000, 2:#ffff00');
+
+            expect(scale).toEqual({
+                1: { red: 1, green: 0, blue: 0 },
+                2: { red: 1, green: 1, blue: 0 },
+            });
+        });
+
+        test('should provide a default scale for every level', () => {
+            expect(Object.keys(parseConfidenceColors())).toEqual(['1', '2', '3', '4', '5']);
+        });
+
+        test('should reject invalid levels and colors', () => {
+            expect(() => parseConfidenceColors('6:#ff0000')).toThrow('Invalid confidence color');
+            expect(() => parseConfidenceColors('1:red')).toThrow('Invalid color "red"');
+        });
+    });
+
+    describe('planCellWrites confidence colors', () => {
+        const confidenceColors = { 1: ERROR_COLOR, 5: { red: 0, green: 1, blue: 0 } };
+        const clResult = { raw: 50, higher: 55, confidence: 1, source: 'CL API' };
+
+        test('should shade the given cells by CL confidence', () => {
+            const writes = planCellWrites({ clResult }, cells, 'CL', {
+                confidenceColors,
+                confidenceCells: [{ label: 'value', cell: cells.value }],
+            });
+
+            expect(writes).toEqual([
+                expect.objectContaining({
+                    field: 'value',
+                    cell: cells.value,
+                    property: 'backgroundColor',
+                    value: ERROR_COLOR,
+                    source: 'CL API',
+                    raw: 1,
+                }),
+            ]);
+        });
+
+        test('should skip levels missing from the scale and rows without a CL lookup', () => {
+            const options = {
+                confidenceColors,
+                confidenceCells: [{ label: 'value', cell: cells.value }],
+            };
+
+            expect(
+                planCellWrites({ clResult: { ...clResult, confidence: 3 } }, cells, 'CL', options)
+            ).toEqual([]);
+            expect(planCellWrites({ clResult: null }, cells, 'CL', options)).toEqual([]);
+        });
+
+        test('should not cover PSA error colors when shading the row', () => {
+            const writes = planCellWrites(
+                { clResult: { ...clResult, confidence: 5 }, writePsaErrorColor: true },
+                cells,
+                'BOTH',
+                {
+                    confidenceColors,
+                    confidenceCells: Object.entries(cells).map(([label, cell]) => ({
+                        label,
+                        cell,
+                    })),
+                }
+            );
+
+            const colors = writes.map((write) => [write.field, write.value]);
+            expect(colors).toEqual([
+                ['name', ERROR_COLOR],
+                ['number', ERROR_COLOR],
+                ['grade', ERROR_COLOR],
+                ['value', confidenceColors[5]],
+                ['confidence', confidenceColors[5]],
+            ]);
+        });
+    });
+
+    describe('buildProvenanceNote', () => {
+        test('should include source, timestamp and raw value', () => {
+            const note = buildProvenanceNote(
+                { source: 'CL API', raw: 50.2 },
+                new Date(2026, 9, 19, 8, 30, 0)
+            );
+
+            expect(note).toBe('Source: CL API\nUpdated: 2026-10-19 08:30:00\nRaw: 50.2');
+        });
+
+        test('should omit the raw line when no raw value is known', () => {
+            const note = buildProvenanceNote({ source: 'PSA' }, new Date(2026, 9, 19, 8, 30, 0));
+
+            expect(note).toBe('Source: PSA\nUpdated: 2026-10-19 08:30:00');
+        });
+    });
+
+    describe('mergeProvenanceNote', () => {
+        const block = 'Source: PSA\nUpdated: 2026-10-20 09:00:00';
+
+        test('should use the block alone for cells without a note', () => {
+            expect(mergeProvenanceNote(undefined, block)).toBe(block);
+            expect(mergeProvenanceNote('', block)).toBe(block);
+            expect(mergeProvenanceNote('Source: CL\nUpdated: 2026-10-19 08:30:00', block)).toBe(
+                block
+            );
+        });
+
+        test('should replace only the earlier block', () => {
+            const existing =
+                'Mine\n\nSource: CL\nUpdated: 2026-10-19 08:30:00\nRaw: none\nAdded later';
+
+            expect(mergeProvenanceNote(existing, block)).toBe(`Mine\nAdded later\n\n${block}`);
+            expect(mergeProvenanceNote('Source: me, not the script', block)).toBe(
+                `Source: me, not the script\n\n${block}`
+            );
+        });
+    });
+
+    describe('applyCellWrites', () => {
+        test('should assign planned values to cells', () => {
+            applyCellWrites(planCellWrites({ writeValue: 51, writeErrorColor: true }, cells, 'CL'));
+
+            expect(cells.value.value).toBe(51);
+            expect(cells.value.backgroundColor).toEqual(ERROR_COLOR);
+        });
+
+        test('should add a provenance note to written values only', () => {
+            const writes = planCellWrites(
+                {
+                    writeValue: 51,
+                    writePsaErrorColor: true,
+                    provenance: { value: { source: 'CL API', raw: 50.2 } },
+                },
+                cells,
+                'BOTH'
+            );
+
+            applyCellWrites(writes, { date: new Date(2026, 9, 19, 8, 30, 0) });
+
+            expect(cells.value.note).toContain('Source: CL API');
+            expect(cells.value.note).toContain('Raw: 50.2');
+            expect(cells.name.note).toBeUndefined();
+        });
+
+        test('should keep a note the cell already has', () => {
+            cells.value.note = 'Graded by hand, check the label';
+            const write = (raw, date) =>
+                applyCellWrites(
+                    planCellWrites(
+                        { writeValue: 51, provenance: { value: { source: 'CL API', raw } } },
+                        cells,
+                        'CL'
+                    ),
+                    { date }
+                );
+
+            write(50.2, new Date(2026, 9, 19, 8, 30, 0));
+            write(51.4, new Date(2026, 9, 20, 9, 0, 0));
+
+            expect(cells.value.note).toBe(
+                'Graded by hand, check the label\n\n' +
+                    'Source: CL API\nUpdated: 2026-10-20 09:00:00\nRaw: 51.4'
+            );
+        });
+
+        test('should not add notes when disabled', () => {
+            applyCellWrites(planCellWrites({ writeValue: 51 }, cells, 'CL'), { notes: false });
+
+            expect(cells.value.value).toBe(51);
+            expect(cells.value.note).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    getCheckpointKey,
+    getCheckpointRange,
+    readCheckpoint,
+    writeCheckpoint,
+} = require('../lib/checkpoint');
+
+describe('Checkpoint', () => {
+    let tmpDir;
+    let filePath;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+        filePath = path.join(tmpDir, 'checkpoint.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should key checkpoints by sheet and tab', () => {
+        expect(getCheckpointKey('abc', 'Tab 1')).toBe('abc::Tab 1');
+    });
+
+    test('should return null when no checkpoint exists', () => {
+        expect(readCheckpoint(filePath, 'abc::Tab 1')).toBeNull();
+    });
+
+    test('should round-trip the last saved row', () => {
+        writeCheckpoint(filePath, 'abc::Tab 1', 42);
+
+        expect(readCheckpoint(filePath, 'abc::Tab 1')).toEqual(
+            expect.objectContaining({ lastRow: 42, completed: false })
+        );
+    });
+
+    test('should keep checkpoints for other tabs', () => {
+        writeCheckpoint(filePath, 'abc::Tab 1', 10);
+        writeCheckpoint(filePath, 'abc::Tab 2', 20, true);
+
+        expect(readCheckpoint(filePath, 'abc::Tab 1').lastRow).toBe(10);
+        expect(readCheckpoint(filePath, 'abc::Tab 2')).toEqual(
+            expect.objectContaining({ lastRow: 20, completed: true })
+        );
+    });
+
+    test('should read the configured range with the default rows', () => {
+        expect(getCheckpointRange(undefined, undefined)).toEqual({ startRow: 2, endRow: null });
+        expect(getCheckpointRange('10', '500')).toEqual({ startRow: 10, endRow: 500 });
+        expect(getCheckpointRange('10', '5')).toEqual({ startRow: 10, endRow: null });
+    });
+
+    test('should only report a range completed when it ends at the saved row', () => {
+        writeCheckpoint(filePath, 'abc::Tab 1', 100, true, { startRow: 2, endRow: 100 });
+
+        expect(readCheckpoint(filePath, 'abc::Tab 1', { startRow: 2, endRow: 100 })).toEqual(
+            expect.objectContaining({ lastRow: 100, completed: true })
+        );
+        expect(readCheckpoint(filePath, 'abc::Tab 1', { startRow: 50, endRow: 80 }).completed).toBe(
+            true
+        );
+        expect(readCheckpoint(filePath, 'abc::Tab 1', { startRow: 2, endRow: 500 })).toEqual(
+            expect.objectContaining({ lastRow: 100, completed: false })
+        );
+        expect(
+            readCheckpoint(filePath, 'abc::Tab 1', { startRow: 2, endRow: null }).completed
+        ).toBe(false);
+    });
+
+    test('should ignore progress of a range that started later', () => {
+        writeCheckpoint(filePath, 'abc::Tab 1', 300, true, { startRow: 200, endRow: 300 });
+
+        expect(readCheckpoint(filePath, 'abc::Tab 1', { startRow: 2, endRow: null })).toBeNull();
+    });
+
+    test('should ignore an unreadable checkpoint file', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fs.writeFileSync(filePath, '{not json');
+
+        expect(readCheckpoint(filePath, 'abc::Tab 1')).toBeNull();
+        console.warn.mockRestore();
+    });
+});
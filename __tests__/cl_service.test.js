@@ -109,6 +109,7 @@ describe('cl_service', () => {
             higher: 1804,
             confidence: 3,
             grade: 10,
+            source: 'CL API',
         });
         expect(mockPage.$).not.toHaveBeenCalled();
     });
@@ -144,6 +145,7 @@ describe('cl_service', () => {
             raw: 150.5,
             higher: 151,
             confidence: 0,
+            source: 'CL Scrape',
         });
         expect(mockPage.$).toHaveBeenCalled();
     });
@@ -0,0 +1,79 @@
+jest.mock('../index', () => ({ main: jest.fn().mockResolvedValue() }));
+jest.mock('../process_csv', () => ({ main: jest.fn().mockResolvedValue() }));
+jest.mock('../lookup', () => ({ main: jest.fn().mockResolvedValue() }));
+
+const { main } = require('../cli');
+const index = require('../index');
+const processCsv = require('../process_csv');
+const lookup = require('../lookup');
+
+describe('CLI', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env = { ...originalEnv };
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = originalEnv;
+        jest.restoreAllMocks();
+    });
+
+    test('should let flags override .env and run the sheet flow', async () => {
+        process.env.WRITE_MODE = 'PSA';
+
+        await main(['sheet', '--write-mode', 'CL', '--resume']);
+
+        expect(process.env.WRITE_MODE).toBe('CL');
+        expect(process.env.RESUME).toBe('true');
+        expect(index.main).toHaveBeenCalled();
+    });
+
+    test('should run the csv flow with the input file', async () => {
+        await main(['csv', 'cards.csv', '--no-skip-cl-check']);
+
+        expect(process.env.SKIP_CL_CHECK).toBe('false');
+        expect(processCsv.main).toHaveBeenCalledWith(['cards.csv']);
+    });
+
+    test('should look up every cert given', async () => {
+        await main(['lookup', '123', '456']);
+
+        expect(lookup.main).toHaveBeenCalledWith(['123', '456']);
+    });
+
+    test('should validate values coming from .env', async () => {
+        process.env.SAVE_CHUNK_SIZE = 'lots';
+
+        await main(['sheet']);
+
+        expect(process.exit).toHaveBeenCalledWith(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('SAVE_CHUNK_SIZE'));
+        expect(index.main).not.toHaveBeenCalled();
+    });
+
+    test('should print help and exit without running anything', async () => {
+        await main(['sheet', '--help']);
+
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('--save-chunk-size'));
+        expect(process.exit).toHaveBeenCalledWith(0);
+        expect(index.main).not.toHaveBeenCalled();
+    });
+
+    test('should pass every csv input on', async () => {
+        await main(['csv', 'show_day1.csv', 'exports/']);
+
+        expect(processCsv.main).toHaveBeenCalledWith(['show_day1.csv', 'exports/']);
+    });
+
+    test('should require a csv file', async () => {
+        await main(['csv']);
+
+        expect(process.exit).toHaveBeenCalledWith(1);
+        expect(processCsv.main).not.toHaveBeenCalled();
+    });
+});
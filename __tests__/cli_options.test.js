@@ -0,0 +1,102 @@
+const { OPTIONS, parseCliArgs, formatHelp, validateOption } = require('../lib/cli_options');
+
+describe('CLI Options', () => {
+    describe('parseCliArgs', () => {
+        test('should map flags to their env vars', () => {
+            const parsed = parseCliArgs([
+                'sheet',
+                '--write-mode',
+                'cl',
+                '--save-chunk-size=10',
+                '--dry-run',
+                '--no-run-log',
+            ]);
+
+            expect(parsed).toEqual({
+                command: 'sheet',
+                positionals: [],
+                env: {
+                    WRITE_MODE: 'CL',
+                    SAVE_CHUNK_SIZE: '10',
+                    DRY_RUN: 'true',
+                    RUN_LOG: 'false',
+                },
+                help: false,
+            });
+        });
+
+        test('should collect positionals and keep = inside values', () => {
+            const parsed = parseCliArgs(['csv', 'cards.csv', '--row-filter=OWNERSHIP = "rose"']);
+
+            expect(parsed.positionals).toEqual(['cards.csv']);
+            expect(parsed.env).toEqual({ ROW_FILTER: 'OWNERSHIP = "rose"' });
+        });
+
+        test('should accept the same lookup options in both flows', () => {
+            expect(parseCliArgs(['csv', 'a.csv', '--force-cl-overwrite']).env).toEqual({
+                FORCE_CL_OVERWRITE: 'true',
+            });
+            expect(parseCliArgs(['sheet', '--force-cl-overwrite']).env).toEqual({
+                FORCE_CL_OVERWRITE: 'true',
+            });
+        });
+
+        test('should detect --help', () => {
+            expect(parseCliArgs(['csv', '--help']).help).toBe(true);
+            expect(parseCliArgs(['-h'])).toEqual(
+                expect.objectContaining({ command: null, help: true })
+            );
+        });
+
+        test('should reject unknown commands and options', () => {
+            expect(() => parseCliArgs(['sync'])).toThrow('Unknown command "sync"');
+            expect(() => parseCliArgs(['sheet', '--colour'])).toThrow('Unknown option --colour');
+            expect(() => parseCliArgs(['csv', 'a.csv', '--resume'])).toThrow(
+                'Unknown option --resume for "csv"'
+            );
+        });
+
+        test('should reject missing and invalid values', () => {
+            expect(() => parseCliArgs(['sheet', '--write-mode'])).toThrow(
+                '--write-mode needs a value'
+            );
+            expect(() => parseCliArgs(['sheet', '--write-mode', 'ALL'])).toThrow(
+                'must be one of BOTH, PSA, CL, CONFIDENCE'
+            );
+            expect(() => parseCliArgs(['sheet', '--save-chunk-size', '0'])).toThrow(
+                'must be a whole number of at least 1'
+            );
+            expect(() => parseCliArgs(['sheet', '--dry-run=maybe'])).toThrow(
+                'must be true or false'
+            );
+        });
+    });
+
+    describe('validateOption', () => {
+        test('should accept valid env values', () => {
+            const option = OPTIONS.find((candidate) => candidate.env === 'READ_DELAY_MS');
+
+            expect(validateOption(option, '0')).toBeNull();
+            expect(validateOption(option, '-5')).toMatch('READ_DELAY_MS');
+        });
+
+        test('should accept amounts and percentages for mismatch settings', () => {
+            const option = OPTIONS.find((candidate) => candidate.env === 'MISMATCH_TOLERANCE');
+
+            expect(validateOption(option, '2')).toBeNull();
+            expect(validateOption(option, '5%')).toBeNull();
+            expect(validateOption(option, '$5')).toMatch('MISMATCH_TOLERANCE');
+        });
+    });
+
+    describe('formatHelp', () => {
+        test('should list commands, and the options of one command', () => {
+            expect(formatHelp()).toContain('lookup <cert> [cert...]');
+
+            const csvHelp = formatHelp('csv');
+            expect(csvHelp).toContain('--write-mode <BOTH|PSA|CL|CONFIDENCE>');
+            expect(csvHelp).toContain('[FORCE_CL_OVERWRITE]');
+            expect(csvHelp).not.toContain('--resume');
+        });
+    });
+});
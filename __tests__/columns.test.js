@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_COLUMN_ALIASES,
+    loadColumnConfig,
+    resolveColumns,
+    getRequiredFields,
+    findMissingColumns,
+} = require('../lib/columns');
+
+describe('Column Mapping', () => {
+    describe('loadColumnConfig', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'columns-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should return defaults when no config path is given and none exists', () => {
+            const cwd = process.cwd();
+            process.chdir(tmpDir);
+            try {
+                expect(loadColumnConfig(undefined)).toEqual(DEFAULT_COLUMN_ALIASES);
+            } finally {
+                process.chdir(cwd);
+            }
+        });
+
+        test('should put user aliases before the defaults', () => {
+            const configPath = path.join(tmpDir, 'columns.json');
+            fs.writeFileSync(
+                configPath,
+                JSON.stringify({ cert: 'Cert #', value: ['Market Value', 'FMV'] })
+            );
+
+            const aliases = loadColumnConfig(configPath);
+
+            expect(aliases.cert[0]).toBe('Cert #');
+            expect(aliases.cert.filter((t) => t === 'Cert #')).toHaveLength(1);
+            expect(aliases.value.slice(0, 2)).toEqual(['Market Value', 'FMV']);
+            expect(aliases.value).toContain('CL Market Value');
+        });
+
+        test('should reject unknown fields', () => {
+            const configPath = path.join(tmpDir, 'columns.json');
+            fs.writeFileSync(configPath, JSON.stringify({ price: 'Price' }));
+
+            expect(() => loadColumnConfig(configPath)).toThrow('Unknown field "price"');
+        });
+
+        test('should throw if an explicit config path is missing', () => {
+            expect(() => loadColumnConfig(path.join(tmpDir, 'nope.json'))).toThrow(
+                'Could not read column config'
+            );
+        });
+    });
+
+    describe('resolveColumns', () => {
+        test('should find default headers', () => {
+            const columns = resolveColumns([
+                'Card Name',
+                'Certification Number',
+                'CL Market Value',
+            ]);
+            expect(columns.cert).toEqual({ index: 1, header: 'Certification Number' });
+            expect(columns.value).toEqual({ index: 2, header: 'CL Market Value' });
+            expect(columns.name).toEqual({ index: 0, header: 'Card Name' });
+            expect(columns.grade).toEqual({ index: -1, header: null });
+        });
+
+        test('should match aliases ignoring case and whitespace', () => {
+            const columns = resolveColumns([' cert # ', 'MARKET VALUE']);
+            expect(columns.cert).toEqual({ index: 0, header: ' cert # ' });
+            expect(columns.value).toEqual({ index: 1, header: 'MARKET VALUE' });
+        });
+
+        test('should prefer earlier aliases when several headers match', () => {
+            const columns = resolveColumns(['Market Value', 'CL Market Value']);
+            expect(columns.value.index).toBe(1);
+        });
+    });
+
+    describe('getRequiredFields', () => {
+        test('should require fields based on write mode', () => {
+            expect(getRequiredFields('BOTH')).toEqual(['cert', 'value', 'confidence']);
+            expect(getRequiredFields('CL')).toEqual(['cert', 'value', 'confidence']);
+            expect(getRequiredFields('CONFIDENCE')).toEqual(['cert', 'confidence']);
+            expect(getRequiredFields('PSA')).toEqual(['cert']);
+        });
+    });
+
+    describe('findMissingColumns', () => {
+        test('should name the missing logical field and the titles tried', () => {
+            const columns = resolveColumns(['Certification Number']);
+            const missing = findMissingColumns(columns, ['cert', 'value']);
+
+            expect(missing).toHaveLength(1);
+            expect(missing[0]).toContain('field "value"');
+            expect(missing[0]).toContain('"CL Market Value"');
+        });
+    });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+    createCsvParser,
+    parseCsv,
+    parseCsvLine,
+    detectEncoding,
+    sniffDelimiter,
+    detectCsvFormat,
+    readCsvRecords,
+    readCsvFile,
+    formatCsvRecord,
+    createCsvWriter,
+} = require('../lib/csv');
+
+describe('CSV', () => {
+    describe('parseCsv', () => {
+        test('should unescape doubled quotes', () => {
+            expect(parseCsvLine('"He said ""PSA 10""",b')).toEqual(['He said "PSA 10"', 'b']);
+        });
+
+        test('should keep line breaks inside quoted fields', () => {
+            expect(parseCsv('cert,notes\n123,"line one\nline two"\n456,x\n')).toEqual([
+                ['cert', 'notes'],
+                ['123', 'line one\nline two'],
+                ['456', 'x'],
+            ]);
+        });
+
+        test('should keep blank lines as single empty records', () => {
+            expect(parseCsv('a\n\nb')).toEqual([['a'], [''], ['b']]);
+        });
+
+        test('should read a quoted empty field at the end of the file', () => {
+            expect(parseCsv('a,""')).toEqual([['a', '']]);
+        });
+    });
+
+    describe('createCsvParser', () => {
+        test('should drop a leading BOM and remember it', () => {
+            const parser = createCsvParser();
+
+            expect(parser.push('\uFEFFcert,grade\n')).toEqual([['cert', 'grade']]);
+            expect(parser.bom).toBe(true);
+        });
+
+        test('should detect CRLF line endings', () => {
+            const parser = createCsvParser();
+
+            expect(parser.push('a,b\r\nc,"d\r\ne"\r\n')).toEqual([
+                ['a', 'b'],
+                ['c', 'd\r\ne'],
+            ]);
+            expect(parser.lineEnding).toBe('\r\n');
+            expect(parser.bom).toBe(false);
+        });
+
+        test('should join records split across chunks', () => {
+            const parser = createCsvParser();
+            const records = [
+                ...parser.push('a,"x'),
+                ...parser.push('""y",b\r'),
+                ...parser.push('\nc'),
+                ...parser.end(),
+            ];
+
+            expect(records).toEqual([['a', 'x"y', 'b'], ['c']]);
+            expect(parser.lineEnding).toBe('\r\n');
+        });
+
+        test('should split on another delimiter', () => {
+            expect(parseCsv('cert;notes\n1;"a;b"\n', { delimiter: ';' })).toEqual([
+                ['cert', 'notes'],
+                ['1', 'a;b'],
+            ]);
+        });
+    });
+
+    describe('sniffDelimiter', () => {
+        test('should pick the delimiter that splits rows evenly', () => {
+            const sample =
+                'Name;Certification Number;Value\n"Smith, J";133548817;9,50\n;133548812;\n';
+
+            expect(sniffDelimiter(sample)).toBe(';');
+            expect(sniffDelimiter('a\tb\n1\t2\n')).toBe('\t');
+            expect(sniffDelimiter('a,b\n1,2\n')).toBe(',');
+        });
+
+        test('should fall back when no delimiter occurs', () => {
+            expect(sniffDelimiter('Certification Number\n133548817\n', '\t')).toBe('\t');
+        });
+    });
+
+    describe('detectEncoding', () => {
+        test('should recognize BOMs, UTF-16 without a BOM and Latin-1', () => {
+            expect(detectEncoding(Buffer.from('\uFEFFcert', 'utf8'))).toBe('utf8');
+            expect(detectEncoding(Buffer.from('\uFEFFcert', 'utf16le'))).toBe('utf16le');
+            expect(detectEncoding(Buffer.from('\uFEFFcert', 'utf16le').swap16())).toBe('utf16be');
+            expect(detectEncoding(Buffer.from('cert,notes', 'utf16le'))).toBe('utf16le');
+            expect(detectEncoding(Buffer.from('Pokémon', 'utf8'))).toBe('utf8');
+            expect(detectEncoding(Buffer.from('Pokémon', 'latin1'))).toBe('latin1');
+        });
+    });
+
+    describe('detectCsvFormat', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should detect a UTF-16 tab-separated file', () => {
+            const file = path.join(tmpDir, 'pos.TSV');
+            fs.writeFileSync(
+                file,
+                Buffer.from('\uFEFFCard\tCertification Number\nPokémon\t1\n', 'utf16le')
+            );
+
+            expect(detectCsvFormat(file)).toEqual({ encoding: 'utf16le', delimiter: '\t' });
+            expect(readCsvFile(file, detectCsvFormat(file))).toEqual([
+                ['Card', 'Certification Number'],
+                ['Pokémon', '1'],
+            ]);
+        });
+
+        test('should use the given delimiter and encoding', () => {
+            const file = path.join(tmpDir, 'export.csv');
+            fs.writeFileSync(file, 'a,b\n');
+
+            expect(detectCsvFormat(file, { delimiter: 'Semicolon', encoding: 'latin1' })).toEqual({
+                encoding: 'latin1',
+                delimiter: ';',
+            });
+            expect(() => detectCsvFormat(file, { delimiter: 'colon' })).toThrow(
+                'Invalid CSV_DELIMITER "colon"'
+            );
+        });
+    });
+
+    describe('readCsvRecords', () => {
+        test('should yield records from a stream', async () => {
+            const stream = Readable.from(['cert,"no', 'tes"\n1,"a,b"\n']);
+            const records = [];
+            for await (const record of readCsvRecords(stream)) {
+                records.push(record);
+            }
+
+            expect(records).toEqual([
+                ['cert', 'notes'],
+                ['1', 'a,b'],
+            ]);
+        });
+
+        test('should decode bytes split inside a character', async () => {
+            const bytes = Buffer.from('cert;name\n1;Pokémon\n', 'utf8');
+            const split = bytes.indexOf(0xc3) + 1;
+            const stream = Readable.from([bytes.subarray(0, split), bytes.subarray(split)]);
+            const records = [];
+            for await (const record of readCsvRecords(
+                stream,
+                createCsvParser({ delimiter: ';' })
+            )) {
+                records.push(record);
+            }
+
+            expect(records[1]).toEqual(['1', 'Pokémon']);
+        });
+    });
+
+    describe('formatCsvRecord', () => {
+        test('should quote fields that need it and use the given line ending', () => {
+            expect(formatCsvRecord(['a', 'b,c', 'say "hi"', 'x\ry', null], '\r\n')).toBe(
+                'a,"b,c","say ""hi""","x\ry",\r\n'
+            );
+        });
+
+        test('should round-trip through the parser', () => {
+            const values = ['multi\nline', '"quoted"', 'plain'];
+
+            expect(parseCsvLine(formatCsvRecord(values))).toEqual(values);
+        });
+
+        test('should quote fields that contain the delimiter', () => {
+            expect(formatCsvRecord(['9,50', 'a;b', 'x'], '\n', ';')).toBe('"9,50";"a;b";x\n');
+        });
+    });
+
+    describe('createCsvWriter', () => {
+        test("should write with the input's BOM and line endings", async () => {
+            const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-test-'));
+            const file = path.join(tmpDir, 'out.csv');
+            const parser = createCsvParser();
+            parser.push('\uFEFFcert\r\n');
+
+            const writer = createCsvWriter(file, parser);
+            writer.write(['cert', 'notes']);
+            writer.write(['1', 'a,b']);
+            await writer.close();
+
+            expect(fs.readFileSync(file, 'utf8')).toBe('\uFEFFcert,notes\r\n1,"a,b"\r\n');
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test("should write in the input's encoding and delimiter", async () => {
+            const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-test-'));
+            const file = path.join(tmpDir, 'out.csv');
+            const parser = createCsvParser({ delimiter: ';' });
+            parser.push('cert\n');
+
+            const writer = createCsvWriter(file, parser, 'latin1');
+            writer.write(['Pokémon', '9,50']);
+            await writer.close();
+
+            expect(fs.readFileSync(file, 'latin1')).toBe('Pokémon;"9,50"\n');
+            expect(fs.readFileSync(file).length).toBe('Pokémon;"9,50"\n'.length);
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+    });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveColumns } = require('../lib/columns');
+const { readPreviousOutput, createCsvResume } = require('../lib/csv_resume');
+
+describe('CSV Resume', () => {
+    const headers = [
+        '#',
+        'Card Name',
+        'Certification Number',
+        'CL Market Value',
+        'CL Confidence Level',
+    ];
+    const columns = resolveColumns(headers);
+    const options = { headers, columns, writeMode: 'CL' };
+    const previous = {
+        headers,
+        rows: [
+            ['1', 'PIKACHU', '111', '25', '4'],
+            ['2', '', '222', 'No comps', ''],
+            ['', '', '', '', ''],
+            ['4', '', '444', '', ''],
+        ],
+    };
+    const input = [
+        ['1', '', '111', '', ''],
+        ['2', '', '222', '', ''],
+        ['', '', '', '', ''],
+        ['4', '', '444', '', ''],
+        ['5', '', '555', '', ''],
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('readPreviousOutput', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-resume-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should return the rows after the header', async () => {
+            const file = path.join(tmpDir, 'cards_filled.csv');
+            fs.writeFileSync(
+                file,
+                '\uFEFF,,\r\nCard Name,Certification Number\r\n"A, B",111\r\n,\r\n'
+            );
+
+            expect(await readPreviousOutput(file)).toEqual({
+                headers: ['Card Name', 'Certification Number'],
+                rows: [
+                    ['A, B', '111'],
+                    ['', ''],
+                ],
+                errorColumns: new Map(),
+                fromPartial: 0,
+            });
+        });
+
+        test('should put the rows of a leftover .partial file first', async () => {
+            const file = path.join(tmpDir, 'cards_filled.csv');
+            fs.writeFileSync(file, 'Certification Number,Value\n111,\n222,\n333,30\n');
+            fs.writeFileSync(`${file}.partial`, 'Certification Number,Value\n111,10\n222,20\n');
+
+            expect(await readPreviousOutput(file)).toEqual({
+                headers: ['Certification Number', 'Value'],
+                rows: [
+                    ['111', '10'],
+                    ['222', '20'],
+                    ['333', '30'],
+                ],
+                errorColumns: new Map(),
+                fromPartial: 2,
+            });
+        });
+
+        test('should read a .partial file without an output', async () => {
+            const file = path.join(tmpDir, 'cards_filled.csv');
+            fs.writeFileSync(`${file}.partial`, ',\nCertification Number,Value\n111,10\n');
+
+            const previous = await readPreviousOutput(file);
+
+            expect(previous.rows).toEqual([['111', '10']]);
+            expect(previous.fromPartial).toBe(1);
+        });
+
+        test('should return null without a file or a header', async () => {
+            const file = path.join(tmpDir, 'cards_filled.csv');
+
+            expect(await readPreviousOutput(file)).toBeNull();
+            fs.writeFileSync(file, ',,\n');
+            expect(await readPreviousOutput(file)).toBeNull();
+        });
+    });
+
+    describe('createCsvResume', () => {
+        test('should keep earlier rows and process the rest', () => {
+            const resume = createCsvResume(previous, options);
+
+            expect(input.map((values) => resume.next(values))).toEqual([
+                previous.rows[0],
+                previous.rows[1],
+                previous.rows[2],
+                previous.rows[3],
+                null,
+            ]);
+            expect(resume.reused).toBe(4);
+            expect(resume.retried).toBe(0);
+        });
+
+        test('should retry "No comps" and empty results when asked', () => {
+            const resume = createCsvResume(previous, { ...options, retryNoComps: true });
+
+            expect(input.map((values) => resume.next(values))).toEqual([
+                previous.rows[0],
+                null,
+                previous.rows[2],
+                null,
+                null,
+            ]);
+            expect(resume.retried).toBe(2);
+        });
+
+        test('should stop pairing at the first cert that differs', () => {
+            const resume = createCsvResume(previous, options);
+            const edited = [input[0], ['2', '', '999', '', ''], input[2]];
+
+            expect(edited.map((values) => resume.next(values))).toEqual([
+                previous.rows[0],
+                null,
+                null,
+            ]);
+            expect(resume.remaining()).toEqual([]);
+            expect(console.warn).toHaveBeenCalledWith(
+                expect.stringContaining('has cert "222" but the input has "999"')
+            );
+        });
+
+        test('should hand back the rows not reached yet', () => {
+            const resume = createCsvResume(previous, options);
+            resume.next(input[0]);
+
+            expect(resume.remaining()).toEqual(previous.rows.slice(1));
+        });
+
+        test('should process everything without an earlier output', () => {
+            const resume = createCsvResume(null, options);
+
+            expect(resume.next(input[0])).toBeNull();
+            expect(resume.remaining()).toEqual([]);
+        });
+
+        test('should refuse an output with other headers', () => {
+            expect(() =>
+                createCsvResume({ headers: ['Certification Number'], rows: [] }, options)
+            ).toThrow('different headers');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+// ky is ESM-only and the cells never make requests
+jest.mock('ky', () => ({}));
+
+const { GoogleSpreadsheetCell } = require('google-spreadsheet');
+const { planCellWrites, ERROR_COLOR } = require('../lib/cell_writes');
+const { buildDiffRows, writeDiffReport } = require('../lib/dry_run');
+
+describe('Dry Run Report', () => {
+    const columns = {
+        value: { index: 1, header: 'CL Market Value' },
+        name: { index: 2, header: 'Card Name' },
+    };
+
+    describe('buildDiffRows', () => {
+        test('should describe old and new values with source', () => {
+            const writes = [
+                { field: 'value', cell: { value: 40 }, property: 'value', value: 51, source: 'CL' },
+                {
+                    field: 'name',
+                    cell: { value: '' },
+                    property: 'backgroundColor',
+                    value: { red: 1, green: 0.8, blue: 0.8 },
+                    source: 'PSA',
+                },
+            ];
+
+            const rows = buildDiffRows(writes, {
+                tab: 'Tab',
+                rowNumber: 3,
+                cert: '123',
+                columns,
+            });
+
+            expect(rows).toEqual([
+                {
+                    tab: 'Tab',
+                    row: 3,
+                    cert: '123',
+                    column: 'CL Market Value',
+                    change: 'value',
+                    oldValue: 40,
+                    newValue: 51,
+                    source: 'CL',
+                },
+                {
+                    tab: 'Tab',
+                    row: 3,
+                    cert: '123',
+                    column: 'Card Name',
+                    change: 'color',
+                    oldValue: '',
+                    newValue: 'rgb(1, 0.8, 0.8)',
+                    source: 'PSA',
+                },
+            ]);
+        });
+    });
+
+    describe('buildDiffRows with sheet cells', () => {
+        test('should read the old color of cells with and without a format', () => {
+            const valueCell = new GoogleSpreadsheetCell({}, 2, 1, {
+                effectiveValue: { numberValue: 40 },
+            });
+            const writes = planCellWrites(
+                { writeValue: 'No comps', writeErrorColor: true },
+                { value: valueCell },
+                'CL'
+            );
+
+            const rows = buildDiffRows(writes, { tab: 'Tab', rowNumber: 3, cert: '1', columns });
+
+            expect(rows.map(({ change, oldValue }) => [change, oldValue])).toEqual([
+                ['value', 40],
+                ['color', ''],
+            ]);
+
+            const redCell = new GoogleSpreadsheetCell({}, 2, 1, {
+                userEnteredFormat: { backgroundColor: ERROR_COLOR },
+            });
+            const [colorRow] = buildDiffRows(
+                [
+                    {
+                        field: 'value',
+                        cell: redCell,
+                        property: 'backgroundColor',
+                        value: ERROR_COLOR,
+                    },
+                ],
+                { tab: 'Tab', rowNumber: 3, cert: '1', columns }
+            );
+            expect(colorRow.oldValue).toBe('rgb(1, 0.8, 0.8)');
+        });
+    });
+
+    describe('writeDiffReport', () => {
+        let tmpDir;
+        const diffRows = [
+            {
+                tab: 'Tab',
+                row: 3,
+                cert: '123',
+                column: 'Card Name',
+                change: 'value',
+                oldValue: '',
+                newValue: 'Pikachu, Holo',
+                source: 'PSA',
+            },
+        ];
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should write JSON by default', () => {
+            const filePath = path.join(tmpDir, 'report.json');
+            writeDiffReport(filePath, diffRows);
+
+            expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual(diffRows);
+        });
+
+        test('should write CSV for .csv paths', () => {
+            const filePath = path.join(tmpDir, 'report.csv');
+            writeDiffReport(filePath, diffRows);
+
+            expect(fs.readFileSync(filePath, 'utf8')).toBe(
+                'tab,row,cert,column,change,oldValue,newValue,source\n' +
+                    'Tab,3,123,Card Name,value,,"Pikachu, Holo",PSA\n'
+            );
+        });
+    });
+});
@@ -20,6 +20,7 @@ jest.mock('readline', () => ({
     createInterface: jest.fn().mockReturnValue({
         question: jest.fn(),
         close: jest.fn(),
+        on: jest.fn(),
     }),
 }));
 jest.mock('../lib/services/cl_service', () => ({
@@ -34,8 +35,24 @@ jest.mock('../lib/rowprocessor', () => ({
         updatedLastPsaDetails: {},
     }),
 }));
+jest.mock('../lib/watch', () => ({
+    ...jest.requireActual('../lib/watch'),
+    // A single poll instead of polling forever
+    pollUntilStopped: jest.fn(async (poll) => poll()),
+}));
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { main } = require('../index');
+const readline = require('readline');
+
+// Ctrl+C handler index.js puts on its readline interface when it loads
+const [, onPromptSigint] = readline.createInterface.mock.results[0].value.on.mock.calls.find(
+    ([event]) => event === 'SIGINT'
+);
+const { RUN_LOCK_HEADERS } = require('../lib/run_lock');
+const { createShutdown } = require('../lib/shutdown');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const puppeteer = require('puppeteer-extra');
 
@@ -54,9 +71,20 @@ describe('index.js main workflow', () => {
     let mockSheet;
     let mockPage;
     let mockBrowser;
+    let tmpDir;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-test-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
 
     beforeEach(() => {
         jest.clearAllMocks();
+        fs.rmSync(path.join(tmpDir, 'checkpoint.json'), { force: true });
+        fs.rmSync(path.join(tmpDir, 'pending.json'), { force: true });
 
         // Setup Environment Variables
         process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL = 'test@example.com';
@@ -67,6 +95,26 @@ describe('index.js main workflow', () => {
         delete process.env.START_ROW;
         delete process.env.END_ROW;
         delete process.env.CL_VALUE_CHOICE;
+        delete process.env.SHEET_TAB_PATTERN;
+        process.env.CHECKPOINT_FILE = path.join(tmpDir, 'checkpoint.json');
+        process.env.DRY_RUN_FILE = path.join(tmpDir, 'dry_run.json');
+        delete process.env.DRY_RUN;
+        process.env.RUN_LOG = 'false';
+        delete process.env.VALUE_HISTORY;
+        delete process.env.CONFIDENCE_COLOR;
+        delete process.env.CONFIDENCE_COLORS;
+        process.env.PENDING_WRITES_FILE = path.join(tmpDir, 'pending.json');
+        process.env.PENDING_WRITE_BACKOFF_MS = '0';
+        delete process.env.PENDING_WRITE_ATTEMPTS;
+        delete process.env.ROW_FILTER;
+        delete process.env.MISMATCH_TOLERANCE;
+        delete process.env.MISMATCH_THRESHOLD;
+        delete process.env.MISMATCH_ACTION;
+        delete process.env.WATCH;
+        process.env.RUN_LOCK = 'false';
+        delete process.env.FORCE_RUN_LOCK;
+        delete process.env.WATCH_INTERVAL_MS;
+        delete process.env.RESULTS_FILE;
 
         // Mock Google Sheet
         mockSheet = {
@@ -169,6 +217,7 @@ describe('index.js main workflow', () => {
         // Check if value was written (mockValueCell.value updated)
         // logic: getCLValue returns 100raw. Logic rounds up to 100. Write 100.
         expect(mockValueCell.value).toBe(100);
+        expect(mockValueCell.note).toMatch(/^Source: CL\nUpdated: /);
         expect(mockSheet.saveUpdatedCells).toHaveBeenCalled();
     });
 
@@ -204,4 +253,866 @@ describe('index.js main workflow', () => {
         expect(mockValueCell.backgroundColor).toEqual({ red: 1, green: 0.8, blue: 0.8 });
         expect(mockSheet.saveUpdatedCells).toHaveBeenCalled();
     });
+
+    test('should resolve aliased headers from the column mapping', async () => {
+        mockSheet.headerValues = ['Cert #', 'Market Value', 'Card Name', 'Confidence'];
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow]);
+
+        const mockValueCell = { value: '' };
+        mockSheet.getCellByA1.mockImplementation((a1) => {
+            if (a1.startsWith('A')) return { value: '123' };
+            if (a1.startsWith('B')) return mockValueCell;
+            return { value: 'data' };
+        });
+
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            writeValue: 42,
+            rowModified: true,
+            updatedLastScrapedValue: 42,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        expect(mockExit).not.toHaveBeenCalledWith(1);
+        expect(mockValueCell.value).toBe(42);
+    });
+
+    test('should name the missing logical field when a required column is absent', async () => {
+        mockSheet.headerValues = ['Certification Number', 'CL Confidence Level'];
+
+        await main();
+
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('field "value"'));
+        expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test('should load the processing range in one read instead of per row', async () => {
+        process.env.READ_DELAY_MS = '0';
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow, mockRow, mockRow]);
+        mockSheet.getCellByA1.mockReturnValue({ value: '123' });
+
+        await main();
+
+        expect(mockSheet.loadCells).toHaveBeenCalledTimes(1);
+        expect(mockSheet.loadCells).toHaveBeenCalledWith([
+            'A2:A4',
+            'B2:B4',
+            'F2:F4',
+            'C2:C4',
+            'D2:D4',
+            'E2:E4',
+        ]);
+        delete process.env.READ_DELAY_MS;
+    });
+
+    describe('multiple sheets', () => {
+        let secondSheet;
+
+        beforeEach(() => {
+            secondSheet = {
+                ...mockSheet,
+                title: 'Consignor B',
+                loadHeaderRow: jest.fn().mockResolvedValue(),
+                getRows: jest.fn().mockResolvedValue([]),
+            };
+            GoogleSpreadsheet.mockImplementation(() => ({
+                loadInfo: jest.fn().mockResolvedValue(),
+                title: 'Mock Doc',
+                sheetsByTitle: {
+                    'Consignor A': mockSheet,
+                    'Consignor B': secondSheet,
+                    Archive: { title: 'Archive' },
+                },
+            }));
+        });
+
+        test('should process listed tabs with a single browser session', async () => {
+            process.env.SHEET_TAB = 'Consignor A, Consignor B';
+
+            await main();
+
+            expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+            expect(mockSheet.getRows).toHaveBeenCalled();
+            expect(secondSheet.getRows).toHaveBeenCalled();
+            expect(console.table).toHaveBeenCalledWith([
+                expect.objectContaining({ Tab: 'Test Sheet' }),
+                expect.objectContaining({ Tab: 'Consignor B' }),
+            ]);
+            expect(mockExit).toHaveBeenCalledWith(0);
+        });
+
+        test('should select tabs by SHEET_TAB_PATTERN', async () => {
+            delete process.env.SHEET_TAB;
+            process.env.SHEET_TAB_PATTERN = '^consignor';
+
+            await main();
+
+            expect(mockSheet.getRows).toHaveBeenCalled();
+            expect(secondSheet.getRows).toHaveBeenCalled();
+            expect(mockExit).toHaveBeenCalledWith(0);
+        });
+
+        test('should load each spreadsheet listed in SHEET_ID', async () => {
+            process.env.SHEET_ID = 'first_id,https://docs.google.com/spreadsheets/d/second_id/edit';
+            process.env.SHEET_TAB = 'Consignor A';
+
+            await main();
+
+            expect(GoogleSpreadsheet).toHaveBeenCalledWith('first_id', expect.anything());
+            expect(GoogleSpreadsheet).toHaveBeenCalledWith('second_id', expect.anything());
+            expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+        });
+
+        test('should refuse to start if a listed tab is missing', async () => {
+            process.env.SHEET_TAB = 'Consignor A,Consignor C';
+
+            await main();
+
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Could not find sheet named "Consignor C"')
+            );
+            expect(mockExit).toHaveBeenCalledWith(1);
+        });
+    });
+
+    describe('checkpoint and resume', () => {
+        const checkpointKey = 'sheet_id::Test Sheet';
+        let rowsProcessed;
+
+        beforeEach(() => {
+            const mockRow = { get: jest.fn().mockReturnValue('123') };
+            mockSheet.getRows.mockResolvedValue([mockRow, mockRow, mockRow, mockRow]);
+            mockSheet.getCellByA1.mockImplementation((a1) => ({ value: a1 }));
+
+            rowsProcessed = [];
+            const { processRow } = require('../lib/rowprocessor');
+            processRow.mockImplementation(async (rowData, services, options) => {
+                rowsProcessed.push(options.rowNumber);
+                return {
+                    rowModified: true,
+                    updatedLastScrapedValue: 100,
+                    updatedLastPsaDetails: {},
+                };
+            });
+        });
+
+        afterEach(() => {
+            process.argv = process.argv.filter((arg) => arg !== '--resume');
+        });
+
+        test('should record the last saved row as completed', async () => {
+            await main();
+
+            const saved = JSON.parse(fs.readFileSync(process.env.CHECKPOINT_FILE, 'utf8'));
+            expect(saved[checkpointKey]).toEqual(
+                expect.objectContaining({
+                    lastRow: 5,
+                    completed: true,
+                    range: { startRow: 2, endRow: null },
+                })
+            );
+        });
+
+        test('should continue after the checkpointed row with --resume', async () => {
+            fs.writeFileSync(
+                process.env.CHECKPOINT_FILE,
+                JSON.stringify({ [checkpointKey]: { lastRow: 3, completed: false } })
+            );
+            process.argv.push('--resume');
+
+            await main();
+
+            expect(rowsProcessed).toEqual([4, 5]);
+        });
+
+        test('should ignore the checkpoint without --resume', async () => {
+            fs.writeFileSync(
+                process.env.CHECKPOINT_FILE,
+                JSON.stringify({ [checkpointKey]: { lastRow: 3, completed: false } })
+            );
+
+            await main();
+
+            expect(rowsProcessed).toEqual([2, 3, 4, 5]);
+        });
+
+        test('should skip a completed tab with --resume', async () => {
+            process.env.END_ROW = '5';
+            fs.writeFileSync(
+                process.env.CHECKPOINT_FILE,
+                JSON.stringify({
+                    [checkpointKey]: {
+                        lastRow: 5,
+                        completed: true,
+                        range: { startRow: 2, endRow: 5 },
+                    },
+                })
+            );
+            process.argv.push('--resume');
+
+            await main();
+
+            expect(rowsProcessed).toEqual([]);
+            expect(mockSheet.getRows).not.toHaveBeenCalled();
+        });
+
+        test('should continue a completed tab when the range grew', async () => {
+            fs.writeFileSync(
+                process.env.CHECKPOINT_FILE,
+                JSON.stringify({
+                    [checkpointKey]: {
+                        lastRow: 3,
+                        completed: true,
+                        range: { startRow: 2, endRow: 3 },
+                    },
+                })
+            );
+            process.argv.push('--resume');
+
+            await main();
+
+            expect(rowsProcessed).toEqual([4, 5]);
+        });
+
+        test('should ignore a checkpoint of a range that started later', async () => {
+            fs.writeFileSync(
+                process.env.CHECKPOINT_FILE,
+                JSON.stringify({
+                    [checkpointKey]: {
+                        lastRow: 5,
+                        completed: true,
+                        range: { startRow: 4, endRow: 5 },
+                    },
+                })
+            );
+            process.argv.push('--resume');
+
+            await main();
+
+            expect(rowsProcessed).toEqual([2, 3, 4, 5]);
+        });
+    });
+
+    test('should report proposed writes without touching the sheet in dry run', async () => {
+        process.env.DRY_RUN = 'true';
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow]);
+
+        const mockValueCell = { value: 40 };
+        mockSheet.getCellByA1.mockImplementation((a1) => {
+            if (a1.startsWith('A')) return { value: '123' };
+            if (a1.startsWith('B')) return mockValueCell;
+            return { value: '' };
+        });
+
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            writeValue: 51,
+            writeErrorColor: true,
+            rowModified: true,
+            updatedLastScrapedValue: 51,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        expect(mockValueCell.value).toBe(40);
+        expect(mockValueCell.backgroundColor).toBeUndefined();
+        expect(mockSheet.saveUpdatedCells).not.toHaveBeenCalled();
+        expect(fs.existsSync(process.env.CHECKPOINT_FILE)).toBe(false);
+
+        const report = JSON.parse(fs.readFileSync(process.env.DRY_RUN_FILE, 'utf8'));
+        expect(report).toEqual([
+            expect.objectContaining({
+                row: 2,
+                column: 'CL Market Value',
+                change: 'value',
+                oldValue: 40,
+                newValue: 51,
+                source: 'CL',
+            }),
+            expect.objectContaining({ row: 2, change: 'color', newValue: 'rgb(1, 0.8, 0.8)' }),
+        ]);
+    });
+
+    test('should append the run summary to the Run Log tab', async () => {
+        process.env.RUN_LOG = 'true';
+        const runLogSheet = { addRows: jest.fn().mockResolvedValue([]) };
+        const addSheet = jest.fn().mockResolvedValue(runLogSheet);
+        GoogleSpreadsheet.mockImplementation(() => ({
+            loadInfo: jest.fn().mockResolvedValue(),
+            title: 'Mock Doc',
+            sheetsByTitle: { 'RAW DATA SCRIPTED': mockSheet },
+            addSheet,
+        }));
+
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow]);
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '123' : '',
+        }));
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            writeValue: 'No comps',
+            writeErrorColor: true,
+            rowModified: true,
+            updatedLastScrapedValue: 0,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        expect(addSheet).toHaveBeenCalledWith(expect.objectContaining({ title: 'Run Log' }));
+        const rows = runLogSheet.addRows.mock.calls[0][0];
+        expect(rows.map((row) => row[2])).toEqual(['Run', 'Summary', 'No comps']);
+        expect(rows[2][3]).toBe(2);
+        expect(rows[2][4]).toBe('123');
+    });
+
+    test('should append value snapshots to the history tab when enabled', async () => {
+        process.env.VALUE_HISTORY = 'true';
+        const historySheet = {
+            loadHeaderRow: jest.fn().mockResolvedValue(),
+            addRows: jest.fn().mockResolvedValue([]),
+        };
+        GoogleSpreadsheet.mockImplementation(() => ({
+            loadInfo: jest.fn().mockResolvedValue(),
+            title: 'Mock Doc',
+            sheetsByTitle: { 'RAW DATA SCRIPTED': mockSheet, 'Value History': historySheet },
+        }));
+
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow]);
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '123' : '',
+        }));
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            rowModified: false,
+            clResult: { raw: 50.2, higher: 55, confidence: 4, source: 'CL API' },
+            updatedLastScrapedValue: 50.2,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        expect(historySheet.addRows).toHaveBeenCalledWith([
+            [expect.any(String), '123', 50.2, 55, 4, 'CL API', 'Test Sheet'],
+        ]);
+    });
+
+    test('should shade the whole row by CL confidence', async () => {
+        process.env.CONFIDENCE_COLOR = 'row';
+        process.env.CONFIDENCE_COLORS = '2:#ff0000';
+        const mockRow = { get: jest.fn().mockReturnValue('123') };
+        mockSheet.getRows.mockResolvedValue([mockRow]);
+
+        const rowCells = {};
+        mockSheet.getCellByA1.mockImplementation((a1) => {
+            if (!rowCells[a1]) rowCells[a1] = { value: a1.startsWith('A') ? '123' : '' };
+            return rowCells[a1];
+        });
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            rowModified: true,
+            clResult: { raw: 50.2, higher: 55, confidence: 2, source: 'CL API' },
+            updatedLastScrapedValue: 50.2,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        ['A2', 'B2', 'C2', 'D2', 'E2', 'F2'].forEach((a1) =>
+            expect(rowCells[a1].backgroundColor).toEqual({ red: 1, green: 0, blue: 0 })
+        );
+        expect(mockSheet.saveUpdatedCells).toHaveBeenCalled();
+    });
+
+    test('should exit on an invalid confidence color target', async () => {
+        process.env.CONFIDENCE_COLOR = 'column';
+
+        await main();
+
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    describe('pending writes', () => {
+        let cells;
+
+        beforeEach(() => {
+            const mockRow = { get: jest.fn().mockReturnValue('123') };
+            mockSheet.getRows.mockResolvedValue([mockRow]);
+
+            cells = {};
+            mockSheet.getCellByA1.mockImplementation((a1) => {
+                if (!cells[a1]) {
+                    cells[a1] = {
+                        a1Address: a1,
+                        value: a1.startsWith('A') ? '123' : '',
+                        discardUnsavedChanges: jest.fn(),
+                    };
+                }
+                return cells[a1];
+            });
+            const { processRow } = require('../lib/rowprocessor');
+            processRow.mockResolvedValue({
+                writeValue: 51,
+                rowModified: true,
+                updatedLastScrapedValue: 51,
+                updatedLastPsaDetails: {},
+            });
+        });
+
+        afterEach(() => {
+            process.argv = process.argv.filter((arg) => arg !== '--replay');
+        });
+
+        test('should re-apply writes from a failed save until confirmed', async () => {
+            mockSheet.saveUpdatedCells
+                .mockRejectedValueOnce(new Error('The operation timed out'))
+                .mockResolvedValue();
+            // The first re-read finds the old value, the second finds the re-applied one
+            mockSheet.loadCells
+                .mockResolvedValueOnce()
+                .mockImplementationOnce(async () => {
+                    cells.B2.value = '';
+                })
+                .mockResolvedValue();
+
+            await main();
+
+            expect(cells.B2.discardUnsavedChanges).toHaveBeenCalled();
+            expect(mockSheet.saveUpdatedCells).toHaveBeenCalledTimes(2);
+            expect(cells.B2.value).toBe(51);
+            expect(fs.existsSync(process.env.PENDING_WRITES_FILE)).toBe(false);
+        });
+
+        test('should keep writes that stay unconfirmed for replay', async () => {
+            process.env.PENDING_WRITE_ATTEMPTS = '2';
+            mockSheet.saveUpdatedCells.mockRejectedValue(new Error('Service unavailable'));
+            mockSheet.loadCells.mockImplementation(async () => {
+                if (cells.B2) cells.B2.value = '';
+            });
+
+            await main();
+
+            const pending = JSON.parse(fs.readFileSync(process.env.PENDING_WRITES_FILE, 'utf8'));
+            expect(pending['sheet_id::Test Sheet']).toEqual({
+                sheetId: 'sheet_id',
+                tab: 'Test Sheet',
+                writes: [
+                    expect.objectContaining({ row: 2, a1: 'B2', property: 'value', value: 51 }),
+                ],
+            });
+        });
+
+        test("should not re-apply an earlier run's writes over this run's result", async () => {
+            const red = { red: 1, green: 0.8, blue: 0.8 };
+            fs.writeFileSync(
+                process.env.PENDING_WRITES_FILE,
+                JSON.stringify({
+                    'sheet_id::Test Sheet': {
+                        sheetId: 'sheet_id',
+                        tab: 'Test Sheet',
+                        writes: [
+                            { row: 2, a1: 'B2', property: 'value', value: 'No comps' },
+                            { row: 2, a1: 'B2', property: 'backgroundColor', value: red },
+                            { row: 9, a1: 'B9', property: 'value', value: 40 },
+                        ],
+                    },
+                })
+            );
+
+            await main();
+
+            expect(cells.B2.value).toBe(51);
+            expect(cells.B2.backgroundColor).toBeUndefined();
+            expect(cells.B9.value).toBe(40);
+            expect(fs.existsSync(process.env.PENDING_WRITES_FILE)).toBe(false);
+        });
+
+        test('should only replay pending writes with --replay', async () => {
+            fs.writeFileSync(
+                process.env.PENDING_WRITES_FILE,
+                JSON.stringify({
+                    'sheet_id::RAW DATA SCRIPTED': {
+                        sheetId: 'sheet_id',
+                        tab: 'RAW DATA SCRIPTED',
+                        writes: [{ row: 2, a1: 'B2', property: 'value', value: 51 }],
+                    },
+                })
+            );
+            process.argv.push('--replay');
+
+            await main();
+
+            expect(cells.B2.value).toBe(51);
+            expect(mockSheet.getRows).not.toHaveBeenCalled();
+            expect(puppeteer.launch).not.toHaveBeenCalled();
+            expect(fs.existsSync(process.env.PENDING_WRITES_FILE)).toBe(false);
+        });
+    });
+
+    test('should only process rows matching ROW_FILTER', async () => {
+        process.env.ROW_FILTER = 'CL Confidence Level < 3';
+        const confidences = ['2', '5', '1'];
+        mockSheet.getRows.mockResolvedValue(
+            confidences.map((confidence) => ({
+                get: jest.fn((header) => (header === 'CL Confidence Level' ? confidence : '123')),
+            }))
+        );
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '123' : '',
+        }));
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({ rowModified: false });
+
+        await main();
+
+        expect(processRow.mock.calls.map(([, , options]) => options.rowNumber)).toEqual([2, 4]);
+    });
+
+    test('should exit when ROW_FILTER names an unknown column', async () => {
+        process.env.ROW_FILTER = 'Owner = "Consignment"';
+
+        await main();
+
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    test('should look up a repeated cert once and flag it', async () => {
+        const { getCLValue } = require('../lib/services/cl_service');
+        mockSheet.getRows.mockResolvedValue([{ get: jest.fn() }, { get: jest.fn() }]);
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '555' : '',
+        }));
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockImplementation(async (rowData, services) => {
+            await services.getCLValue(services.page, rowData.cert);
+            return { rowModified: false };
+        });
+
+        await main();
+
+        expect(processRow).toHaveBeenCalledTimes(2);
+        expect(getCLValue).toHaveBeenCalledTimes(1);
+        expect(console.table).toHaveBeenCalledWith([
+            { cert: '555', count: 2, rows: 'Test Sheet row 2, Test Sheet row 3' },
+        ]);
+        expect(console.table).toHaveBeenCalledWith([
+            expect.objectContaining({ Tab: 'Test Sheet', 'Duplicate Certs': 1 }),
+        ]);
+    });
+
+    test('should write one NDJSON line per processed row to RESULTS_FILE', async () => {
+        process.env.RESULTS_FILE = path.join(tmpDir, 'results.ndjson');
+        fs.rmSync(process.env.RESULTS_FILE, { force: true });
+        mockSheet.getRows.mockResolvedValue([{ get: jest.fn() }]);
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '555' : '',
+        }));
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockImplementation(async (rowData, services) => {
+            await services.getCLValue(services.page, rowData.cert);
+            return {
+                writeValue: 51,
+                rowModified: true,
+                provenance: { value: { source: 'CL API', raw: 50.2 } },
+            };
+        });
+
+        await main();
+
+        const lines = fs.readFileSync(process.env.RESULTS_FILE, 'utf8').trim().split('\n');
+        expect(lines).toHaveLength(1);
+        expect(JSON.parse(lines[0])).toEqual(
+            expect.objectContaining({
+                flow: 'sheet',
+                tab: 'Test Sheet',
+                row: 2,
+                cert: '555',
+                inputs: expect.objectContaining({ cert: '555' }),
+                result: expect.objectContaining({ writeValue: 51 }),
+                status: 'Filled',
+                source: 'CL API',
+                timings: expect.objectContaining({ clMs: expect.any(Number) }),
+            })
+        );
+    });
+
+    test('should pass the mismatch policy to processRow and report corrections', async () => {
+        process.env.MISMATCH_THRESHOLD = '50%';
+        process.env.MISMATCH_ACTION = 'overwrite';
+        mockSheet.getRows.mockResolvedValue([{ get: jest.fn() }]);
+        mockSheet.getCellByA1.mockImplementation((a1) => ({
+            value: a1.startsWith('A') ? '123' : '',
+        }));
+        const correction = { row: 2, cert: '123', sheetVal: 100, scrapedVal: 200 };
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockResolvedValue({
+            writeValue: 200,
+            correction,
+            rowModified: true,
+            updatedLastScrapedValue: 200,
+            updatedLastPsaDetails: {},
+        });
+
+        await main();
+
+        expect(processRow.mock.calls[0][2].MISMATCH_POLICY).toEqual({
+            tolerance: null,
+            threshold: { type: 'percent', value: 50 },
+            action: 'overwrite',
+        });
+        expect(console.table).toHaveBeenCalledWith([{ tab: 'Test Sheet', ...correction }]);
+        expect(console.table).toHaveBeenCalledWith([
+            expect.objectContaining({ Tab: 'Test Sheet', Corrected: 1 }),
+        ]);
+    });
+
+    test('should exit on an invalid mismatch tolerance', async () => {
+        process.env.MISMATCH_TOLERANCE = 'five';
+
+        await main();
+
+        expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    describe('watch mode', () => {
+        const makeRow = (values) => ({ get: jest.fn((header) => values[header]) });
+
+        test('should poll for new certs with missing fields', async () => {
+            process.env.WATCH = 'true';
+            process.env.WRITE_MODE = 'CL';
+            const { pollUntilStopped } = require('../lib/watch');
+            const { processRow } = require('../lib/rowprocessor');
+            processRow.mockResolvedValue({ rowModified: false });
+
+            const first = makeRow({ 'Certification Number': '111' });
+            const added = makeRow({ 'Certification Number': '222' });
+            const complete = makeRow({
+                'Certification Number': '333',
+                'CL Market Value': '40',
+                'CL Confidence Level': '4',
+            });
+            mockSheet.getRows
+                .mockResolvedValueOnce([first])
+                .mockResolvedValueOnce([first, added, complete]);
+            const certs = { 2: '111', 3: '222', 4: '333' };
+            mockSheet.getCellByA1.mockImplementation((a1) => ({
+                value: a1.startsWith('A') ? certs[a1.slice(1)] : '',
+            }));
+
+            await main();
+
+            expect(pollUntilStopped).toHaveBeenCalledWith(
+                expect.any(Function),
+                expect.objectContaining({ intervalMs: 60000 })
+            );
+            expect(processRow.mock.calls.map(([rowData]) => rowData.cert)).toEqual(['111', '222']);
+            expect(mockBrowser.close).toHaveBeenCalled();
+        });
+
+        test('should leave the checkpoint of the first pass alone', async () => {
+            process.env.WATCH = 'true';
+            process.env.WRITE_MODE = 'CL';
+            const { processRow } = require('../lib/rowprocessor');
+            processRow.mockResolvedValue({ rowModified: true, updatedLastScrapedValue: 100 });
+
+            const complete = makeRow({
+                'Certification Number': '333',
+                'CL Market Value': '40',
+                'CL Confidence Level': '4',
+            });
+            const certs = { 2: '111', 3: '333' };
+            mockSheet.getRows
+                .mockResolvedValueOnce([makeRow({ 'Certification Number': '111' }), complete])
+                .mockImplementationOnce(async () => {
+                    // A new cert replaces the first one before the poll
+                    certs[2] = '222';
+                    return [makeRow({ 'Certification Number': '222' }), complete];
+                });
+            mockSheet.getCellByA1.mockImplementation((a1) => ({
+                value: a1.startsWith('A') ? certs[a1.slice(1)] : '',
+            }));
+
+            await main();
+
+            expect(processRow.mock.calls.map(([rowData]) => rowData.cert)).toEqual([
+                '111',
+                '333',
+                '222',
+            ]);
+            const checkpoint = JSON.parse(fs.readFileSync(process.env.CHECKPOINT_FILE, 'utf8'));
+            expect(Object.values(checkpoint)[0]).toEqual(
+                expect.objectContaining({ lastRow: 3, completed: true })
+            );
+        });
+
+        test('should refuse to watch during a dry run', async () => {
+            process.env.WATCH = 'true';
+            process.env.DRY_RUN = 'true';
+
+            await main();
+
+            expect(console.error).toHaveBeenCalledWith(
+                '❌ Watch mode cannot be combined with a dry run.'
+            );
+            expect(process.exit).toHaveBeenCalledWith(1);
+        });
+    });
+
+    test('should stop after the current row on SIGINT and save it', async () => {
+        mockSheet.getRows.mockResolvedValue([{ get: jest.fn() }, { get: jest.fn() }]);
+        const cells = {};
+        mockSheet.getCellByA1.mockImplementation((a1) => {
+            if (!cells[a1]) cells[a1] = { value: a1.startsWith('A') ? '123' : '' };
+            return cells[a1];
+        });
+        const { processRow } = require('../lib/rowprocessor');
+        processRow.mockImplementation(async () => {
+            process.emit('SIGINT', 'SIGINT');
+            return { writeValue: 51, rowModified: true, updatedLastScrapedValue: 51 };
+        });
+        const sigintListeners = process.listenerCount('SIGINT');
+
+        await main();
+
+        expect(processRow).toHaveBeenCalledTimes(1);
+        expect(mockSheet.saveUpdatedCells).toHaveBeenCalledTimes(1);
+        expect(cells.B2.value).toBe(51);
+        const checkpoint = JSON.parse(fs.readFileSync(process.env.CHECKPOINT_FILE, 'utf8'));
+        expect(Object.values(checkpoint)[0]).toEqual(
+            expect.objectContaining({ lastRow: 2, completed: false })
+        );
+        expect(console.table).toHaveBeenCalledWith([
+            expect.objectContaining({ Range: '2-2 (stopped)', Processed: 1 }),
+        ]);
+        expect(mockBrowser.close).toHaveBeenCalled();
+        expect(process.exit).toHaveBeenCalledWith(130);
+        expect(process.listenerCount('SIGINT')).toBe(sigintListeners);
+    });
+
+    describe('Ctrl+C at a prompt', () => {
+        let savedListeners;
+
+        beforeEach(() => {
+            savedListeners = process.listeners('SIGINT');
+            process.removeAllListeners('SIGINT');
+            jest.spyOn(process, 'kill').mockImplementation(() => true);
+        });
+
+        afterEach(() => {
+            process.removeAllListeners('SIGINT');
+            savedListeners.forEach((listener) => process.on('SIGINT', listener));
+            process.kill.mockRestore();
+        });
+
+        test('should end the process before processing has started', () => {
+            onPromptSigint();
+
+            expect(process.kill).toHaveBeenCalledWith(process.pid, 'SIGINT');
+        });
+
+        test('should reach the shutdown handler once it is set up', () => {
+            const onSignal = jest.fn();
+            process.on('SIGINT', onSignal);
+
+            onPromptSigint();
+
+            expect(onSignal).toHaveBeenCalledWith('SIGINT');
+            expect(process.kill).not.toHaveBeenCalled();
+        });
+
+        test('should stop on the first Ctrl+C and exit on the second', () => {
+            const shutdown = createShutdown({ signals: ['SIGINT'] });
+
+            onPromptSigint();
+            expect(shutdown.signal).toBe('SIGINT');
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('SIGINT received'));
+            expect(mockExit).not.toHaveBeenCalled();
+
+            onPromptSigint();
+            shutdown.dispose();
+
+            expect(mockExit).toHaveBeenCalledWith(130);
+        });
+    });
+
+    describe('run lock', () => {
+        let lockRows;
+        let lockSheet;
+
+        beforeEach(() => {
+            process.env.RUN_LOCK = 'true';
+            lockRows = [];
+            lockSheet = {
+                loadHeaderRow: jest.fn().mockResolvedValue(),
+                getRows: jest.fn(async () => lockRows),
+                addRows: jest.fn(async (rows) => {
+                    rows.forEach((values, index) => {
+                        lockRows.push({
+                            rowNumber: index + 2,
+                            get: (header) => values[RUN_LOCK_HEADERS.indexOf(header)],
+                            delete: jest.fn(async () => lockRows.splice(lockRows.length - 1, 1)),
+                        });
+                    });
+                }),
+            };
+            GoogleSpreadsheet.mockImplementation(() => ({
+                loadInfo: jest.fn().mockResolvedValue(),
+                title: 'Mock Doc',
+                sheetsByTitle: { 'RAW DATA SCRIPTED': mockSheet, 'Run Lock': lockSheet },
+            }));
+        });
+
+        test('should hold the lock during the run and release it', async () => {
+            await main();
+
+            expect(lockSheet.addRows).toHaveBeenCalledWith(
+                [
+                    [
+                        expect.any(String),
+                        expect.any(String),
+                        'Test Sheet',
+                        2,
+                        '',
+                        expect.any(String),
+                        expect.any(String),
+                    ],
+                ],
+                { raw: true }
+            );
+            expect(lockRows).toEqual([]);
+            expect(process.exit).toHaveBeenCalledWith(0);
+        });
+
+        test('should refuse to start while another run holds the rows', async () => {
+            const holder = {
+                'Lock ID': 'abc',
+                Holder: 'alex@laptop',
+                Tab: 'Test Sheet',
+                'Start Row': '2',
+                'End Row': '',
+                Started: new Date().toISOString(),
+                Expires: new Date(Date.now() + 60000).toISOString(),
+            };
+            lockRows.push({ rowNumber: 2, get: (header) => holder[header] });
+
+            await main();
+
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Another run is using these rows in "Mock Doc"')
+            );
+            expect(console.table).toHaveBeenCalledWith([
+                expect.objectContaining({ holder: 'alex@laptop', range: '2-End' }),
+            ]);
+            expect(process.exit).toHaveBeenCalledWith(1);
+            expect(puppeteer.launch).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findInputFiles } = require('../lib/input_files');
+
+describe('Input Files', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-files-test-'));
+        for (const name of [
+            'show_b.csv',
+            'show_a.CSV',
+            'show_a_filled.CSV',
+            'pos.tsv',
+            'consignor.xlsx',
+            'notes.txt',
+        ]) {
+            fs.writeFileSync(path.join(tmpDir, name), '');
+        }
+        fs.mkdirSync(path.join(tmpDir, 'old.csv'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const inDir = (...names) => names.map((name) => path.join(tmpDir, name));
+
+    test('should list the input files of a directory by name', () => {
+        expect(findInputFiles([tmpDir])).toEqual(
+            inDir('consignor.xlsx', 'pos.tsv', 'show_a.CSV', 'show_b.csv')
+        );
+    });
+
+    test('should match globs in the file name, ignoring case', () => {
+        expect(findInputFiles([path.join(tmpDir, 'show_*.csv')])).toEqual(
+            inDir('show_a.CSV', 'show_b.csv')
+        );
+        expect(findInputFiles([path.join(tmpDir, 'show_?.csv')])).toHaveLength(2);
+    });
+
+    test('should keep the argument order and list each file once', () => {
+        const pos = path.join(tmpDir, 'pos.tsv');
+
+        expect(findInputFiles([pos, path.join(tmpDir, '*.tsv')])).toEqual([pos]);
+        expect(findInputFiles([path.join(tmpDir, 'show_b.csv'), pos])).toEqual(
+            inDir('show_b.csv', 'pos.tsv')
+        );
+    });
+
+    test('should take a named file as it is', () => {
+        const filled = path.join(tmpDir, 'show_a_filled.CSV');
+
+        expect(findInputFiles([filled])).toEqual([filled]);
+    });
+
+    test('should reject missing files and globs without matches', () => {
+        expect(() => findInputFiles([path.join(tmpDir, 'missing.csv')])).toThrow(
+            'Input file not found'
+        );
+        expect(() => findInputFiles([path.join(tmpDir, '*.json')])).toThrow(
+            'No .csv, .tsv, .xlsx files match'
+        );
+    });
+});
@@ -0,0 +1,74 @@
+const { createLookupCache, findDuplicateCerts } = require('../lib/lookup_cache');
+
+describe('Lookup Cache', () => {
+    let psaService;
+    let getCLValue;
+    let cache;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        psaService = {
+            getDetails: jest.fn().mockResolvedValue({ name: 'Pikachu', source: 'PSA API' }),
+        };
+        getCLValue = jest.fn().mockResolvedValue({ raw: 50, higher: 55, confidence: 4 });
+        cache = createLookupCache(psaService, getCLValue);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should look up a repeated cert only once', async () => {
+        const first = await cache.psaService.getDetails('123');
+        const second = await cache.psaService.getDetails(' 123 ');
+        const firstValue = await cache.getCLValue('page', '123', null, false, 'key');
+        const secondValue = await cache.getCLValue('page', 123, 50, true, 'key');
+
+        expect(second).toBe(first);
+        expect(secondValue).toBe(firstValue);
+        expect(psaService.getDetails).toHaveBeenCalledTimes(1);
+        expect(getCLValue).toHaveBeenCalledTimes(1);
+        expect(getCLValue).toHaveBeenCalledWith('page', '123', null, false, 'key');
+        expect(cache.hits).toBe(2);
+    });
+
+    test('should retry failed lookups', async () => {
+        psaService.getDetails.mockResolvedValueOnce(null);
+        getCLValue.mockResolvedValueOnce(null);
+
+        expect(await cache.psaService.getDetails('123')).toBeNull();
+        expect(await cache.psaService.getDetails('123')).toEqual(
+            expect.objectContaining({ name: 'Pikachu' })
+        );
+        expect(await cache.getCLValue('page', '123')).toBeNull();
+        expect(await cache.getCLValue('page', '123')).toEqual(expect.objectContaining({ raw: 50 }));
+        expect(cache.hits).toBe(0);
+    });
+
+    test('should compare the next live lookup against the last live value', async () => {
+        getCLValue.mockResolvedValueOnce({ raw: 50 }).mockResolvedValueOnce({ raw: 70 });
+
+        await cache.getCLValue('page', '111', null);
+        await cache.getCLValue('page', '111', 50);
+        // The caller passes the cached value, but the page still shows cert 111
+        await cache.getCLValue('page', '222', 12);
+
+        expect(getCLValue).toHaveBeenLastCalledWith('page', '222', 50, false, null);
+    });
+
+    describe('findDuplicateCerts', () => {
+        test('should list certs found on several rows', () => {
+            expect(
+                findDuplicateCerts([
+                    { cert: '111', row: 2, tab: 'A' },
+                    { cert: '222', row: 3, tab: 'A' },
+                    { cert: '111', row: 4, tab: 'B' },
+                ])
+            ).toEqual([{ cert: '111', count: 2, rows: 'A row 2, B row 4' }]);
+        });
+
+        test('should return nothing without repeats', () => {
+            expect(findDuplicateCerts([{ cert: '111', row: 2 }])).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { parseAmount, createMismatchPolicy, classifyMismatch } = require('../lib/mismatch_policy');
+
+describe('Mismatch Policy', () => {
+    describe('parseAmount', () => {
+        test('should parse dollar amounts and percentages', () => {
+            expect(parseAmount('2', 'X')).toEqual({ type: 'absolute', value: 2 });
+            expect(parseAmount('7.5 %', 'X')).toEqual({ type: 'percent', value: 7.5 });
+        });
+
+        test('should return null when not set', () => {
+            expect(parseAmount(undefined, 'X')).toBeNull();
+            expect(parseAmount('  ', 'X')).toBeNull();
+        });
+
+        test('should reject anything else', () => {
+            expect(() => parseAmount('$5', 'MISMATCH_TOLERANCE')).toThrow(
+                'Invalid MISMATCH_TOLERANCE "$5"'
+            );
+            expect(() => parseAmount('-1', 'X')).toThrow();
+        });
+    });
+
+    describe('createMismatchPolicy', () => {
+        test('should default to flagging', () => {
+            expect(createMismatchPolicy()).toEqual({
+                tolerance: null,
+                threshold: null,
+                action: 'flag',
+            });
+        });
+
+        test('should reject unknown actions', () => {
+            expect(() => createMismatchPolicy({ action: 'delete' })).toThrow(
+                'Invalid MISMATCH_ACTION "delete"'
+            );
+        });
+    });
+
+    describe('classifyMismatch', () => {
+        const policy = createMismatchPolicy({
+            tolerance: '2',
+            threshold: '25%',
+            action: 'overwrite',
+        });
+
+        test('should match equal values', () => {
+            expect(classifyMismatch(100, 100, policy)).toEqual({
+                action: 'match',
+                aboveThreshold: false,
+            });
+        });
+
+        test('should ignore differences within the tolerance', () => {
+            expect(classifyMismatch(100, 102, policy).action).toBe('ignore');
+            expect(classifyMismatch(100, 97, policy).action).toBe('flag');
+        });
+
+        test('should apply the action above the threshold', () => {
+            expect(classifyMismatch(100, 126, policy)).toEqual({
+                action: 'overwrite',
+                aboveThreshold: true,
+            });
+            expect(classifyMismatch(100, 125, policy).action).toBe('flag');
+        });
+
+        test('should flag every difference without a policy', () => {
+            expect(classifyMismatch(100, 101).action).toBe('flag');
+        });
+
+        test('should flag unreadable sheet values', () => {
+            expect(classifyMismatch(NaN, 50, policy)).toEqual({
+                action: 'flag',
+                aboveThreshold: false,
+            });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ky is ESM-only and the cells never make requests
+jest.mock('ky', () => ({}));
+
+const { GoogleSpreadsheetCell } = require('google-spreadsheet');
+const {
+    buildPendingWrites,
+    dropSupersededWrites,
+    readPendingWrites,
+    storePendingWrites,
+    isWriteConfirmed,
+    flushPendingWrites,
+} = require('../lib/pending_writes');
+
+const RED = { red: 1, green: 0.8, blue: 0.8 };
+
+describe('Pending Writes', () => {
+    let tmpDir;
+    let filePath;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pending-'));
+        filePath = path.join(tmpDir, 'pending.json');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('buildPendingWrites', () => {
+        test('should record address, property, value and note', () => {
+            const writes = [
+                {
+                    cell: { a1Address: 'B5' },
+                    property: 'value',
+                    value: 51,
+                    source: 'CL API',
+                    raw: 50.2,
+                },
+                { cell: { a1Address: 'B5' }, property: 'backgroundColor', value: RED },
+            ];
+
+            const entries = buildPendingWrites(writes, 5, { date: new Date(2026, 0, 2, 3, 4, 5) });
+
+            expect(entries).toEqual([
+                {
+                    row: 5,
+                    a1: 'B5',
+                    property: 'value',
+                    value: 51,
+                    note: 'Source: CL API\nUpdated: 2026-01-02 03:04:05\nRaw: 50.2',
+                },
+                { row: 5, a1: 'B5', property: 'backgroundColor', value: RED },
+            ]);
+        });
+
+        test('should leave out notes when disabled', () => {
+            const entries = buildPendingWrites(
+                [{ cell: { a1Address: 'B5' }, property: 'value', value: 51, source: 'CL' }],
+                5,
+                { notes: false }
+            );
+
+            expect(entries[0].note).toBeUndefined();
+        });
+    });
+
+    describe('dropSupersededWrites', () => {
+        test('should drop queued writes to cells written since', () => {
+            const queued = [
+                { row: 5, a1: 'B5', property: 'value', value: 'No comps' },
+                { row: 5, a1: 'B5', property: 'backgroundColor', value: RED },
+                { row: 6, a1: 'B6', property: 'value', value: 40 },
+            ];
+
+            expect(
+                dropSupersededWrites(queued, [{ row: 5, a1: 'B5', property: 'value', value: 120 }])
+            ).toEqual([queued[2]]);
+        });
+    });
+
+    describe('storePendingWrites', () => {
+        test('should store writes per tab and delete the file once empty', () => {
+            const target = { sheetId: 'sheet1', tab: 'Tab' };
+            storePendingWrites(filePath, 'sheet1::Tab', target, [{ a1: 'B5' }]);
+
+            expect(readPendingWrites(filePath)).toEqual({
+                'sheet1::Tab': { sheetId: 'sheet1', tab: 'Tab', writes: [{ a1: 'B5' }] },
+            });
+
+            storePendingWrites(filePath, 'sheet1::Tab', target, []);
+
+            expect(fs.existsSync(filePath)).toBe(false);
+        });
+    });
+
+    describe('isWriteConfirmed', () => {
+        test('should compare numbers, strings and colors', () => {
+            expect(isWriteConfirmed({ value: '51' }, { property: 'value', value: 51 })).toBe(true);
+            expect(isWriteConfirmed({ value: 50 }, { property: 'value', value: 51 })).toBe(false);
+            expect(
+                isWriteConfirmed({ value: ' No comps ' }, { property: 'value', value: 'No comps' })
+            ).toBe(true);
+            expect(
+                isWriteConfirmed(
+                    {
+                        userEnteredFormat: {
+                            backgroundColor: { red: 1, green: 0.8000001, blue: 0.8 },
+                        },
+                    },
+                    { property: 'backgroundColor', value: RED }
+                )
+            ).toBe(true);
+            expect(
+                isWriteConfirmed(
+                    { userEnteredFormat: {} },
+                    { property: 'backgroundColor', value: RED }
+                )
+            ).toBe(false);
+        });
+
+        test('should read colors of sheet cells without a format', () => {
+            const cell = new GoogleSpreadsheetCell({}, 4, 1, {
+                effectiveValue: { numberValue: 40 },
+            });
+
+            expect(isWriteConfirmed(cell, { property: 'backgroundColor', value: RED })).toBe(false);
+        });
+    });
+
+    describe('flushPendingWrites', () => {
+        let cells;
+        let sheet;
+
+        beforeEach(() => {
+            cells = { B5: { value: null, note: 'Ask Sam' }, C5: { value: 'Done' } };
+            sheet = {
+                loadCells: jest.fn().mockResolvedValue(),
+                getCellByA1: jest.fn((a1) => cells[a1]),
+                saveUpdatedCells: jest.fn().mockResolvedValue(),
+            };
+        });
+
+        test('should re-apply unconfirmed writes until confirmed', async () => {
+            const entries = [
+                { row: 5, a1: 'B5', property: 'value', value: 51, note: 'Source: CL' },
+                { row: 5, a1: 'C5', property: 'value', value: 'Done' },
+            ];
+
+            const result = await flushPendingWrites(sheet, entries, { backoffMs: 0 });
+
+            expect(sheet.loadCells).toHaveBeenNthCalledWith(1, ['B5', 'C5']);
+            expect(sheet.loadCells).toHaveBeenNthCalledWith(2, ['B5']);
+            expect(sheet.saveUpdatedCells).toHaveBeenCalledTimes(1);
+            expect(cells.B5.note).toBe('Ask Sam\n\nSource: CL');
+            expect(result).toEqual({ confirmed: 2, remaining: [], unconfirmedSaves: [] });
+        });
+
+        test('should give up after the last attempt and report what was found', async () => {
+            sheet.getCellByA1.mockImplementation(() => ({ value: 40 }));
+            sheet.saveUpdatedCells.mockRejectedValue(
+                new Error('The service is currently unavailable')
+            );
+            const entries = [{ row: 5, a1: 'B5', property: 'value', value: 51 }];
+
+            const result = await flushPendingWrites(sheet, entries, { attempts: 3, backoffMs: 0 });
+
+            expect(sheet.loadCells).toHaveBeenCalledTimes(3);
+            expect(sheet.saveUpdatedCells).toHaveBeenCalledTimes(2);
+            expect(result.remaining).toEqual(entries);
+            expect(result.unconfirmedSaves).toEqual([
+                { rowNumber: 5, cells: [{ a1: 'B5', expected: 51, actual: 40 }] },
+            ]);
+        });
+
+        test('should re-check unformatted sheet cells after re-applying a color', async () => {
+            const cell = new GoogleSpreadsheetCell({}, 4, 1, {
+                effectiveValue: { numberValue: 40 },
+            });
+            sheet.getCellByA1.mockReturnValue(cell);
+            const entries = [{ row: 5, a1: 'B5', property: 'backgroundColor', value: RED }];
+
+            const result = await flushPendingWrites(sheet, entries, { attempts: 2, backoffMs: 0 });
+
+            expect(sheet.saveUpdatedCells).toHaveBeenCalledTimes(1);
+            expect(result.remaining).toEqual(entries);
+            expect(result.unconfirmedSaves).toEqual([
+                { rowNumber: 5, cells: [{ a1: 'B5', expected: 'rgb(1, 0.8, 0.8)', actual: '' }] },
+            ]);
+        });
+    });
+});
@@ -1,4 +1,24 @@
-const { parseCsvLine, escapeCsvValue } = require('../process_csv');
+jest.mock('puppeteer-extra', () => ({
+    use: jest.fn(),
+    launch: jest.fn().mockResolvedValue({
+        newPage: jest.fn().mockResolvedValue({}),
+        close: jest.fn().mockResolvedValue(),
+    }),
+}));
+jest.mock('puppeteer-extra-plugin-stealth', () => jest.fn());
+jest.mock('../lib/services/auth_service', () =>
+    jest.fn().mockImplementation(() => ({ login: jest.fn().mockResolvedValue(true) }))
+);
+jest.mock('../lib/services/psa_service');
+jest.mock('../lib/rowprocessor', () => ({
+    processRow: jest.fn().mockResolvedValue({ writeValue: 24, rowModified: true }),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { processRow } = require('../lib/rowprocessor');
+const { main, getOutputFilename, parseCsvLine, escapeCsvValue } = require('../process_csv');
 
 describe('CSV Helpers', () => {
     describe('parseCsvLine', () => {
@@ -37,4 +57,94 @@ describe('CSV Helpers', () => {
             expect(escapeCsvValue(undefined)).toBe('');
         });
     });
+
+    describe('getOutputFilename', () => {
+        test('should keep the extension and its case', () => {
+            expect(getOutputFilename('cards.csv')).toBe('cards_filled.csv');
+            expect(getOutputFilename(path.join('exports', 'POS.TSV'))).toBe(
+                path.join('exports', 'POS_filled.TSV')
+            );
+            expect(getOutputFilename('my.csv.files/cards.CSV')).toBe(
+                path.join('my.csv.files', 'cards_filled.CSV')
+            );
+            expect(getOutputFilename('cards')).toBe('cards_filled.csv');
+        });
+    });
+
+    describe('main', () => {
+        let tmpDir;
+        let input;
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-csv-test-'));
+            input = path.join(tmpDir, 'cards.csv');
+            process.env.WRITE_MODE = 'CL';
+            processRow.mockClear();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+            delete process.env.WRITE_MODE;
+            delete process.env.OUTPUT_FILE;
+            process.exitCode = undefined;
+        });
+
+        test('should fill the value column', async () => {
+            fs.writeFileSync(
+                input,
+                'Certification Number,CL Market Value,CL Confidence Level\n133548817,,\n'
+            );
+
+            await main([input]);
+
+            expect(fs.readFileSync(path.join(tmpDir, 'cards_filled.csv'), 'utf8')).toBe(
+                'Certification Number,CL Market Value,CL Confidence Level\n133548817,24,\n'
+            );
+        });
+
+        test('should stop when a column the write mode needs is missing', async () => {
+            fs.writeFileSync(input, 'Certification Number,CL Confidence Level\n133548817,\n');
+
+            await main([input]);
+
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Missing column for field "value"')
+            );
+            expect(processRow).not.toHaveBeenCalled();
+            expect(fs.readdirSync(tmpDir)).toEqual(['cards.csv']);
+            expect(process.exitCode).toBe(1);
+        });
+
+        test('should refuse an OUTPUT_FILE that is the input file', async () => {
+            const contents = 'Certification Number,CL Market Value,CL Confidence Level\n1,,\n';
+            fs.writeFileSync(input, contents);
+            process.env.OUTPUT_FILE = `${tmpDir}${path.sep}.${path.sep}cards.csv`;
+            jest.spyOn(process, 'exit').mockImplementation(() => {
+                throw new Error('exit');
+            });
+
+            await expect(main([input])).rejects.toThrow('exit');
+
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('OUTPUT_FILE must not be the input file')
+            );
+            expect(fs.readFileSync(input, 'utf8')).toBe(contents);
+        });
+
+        test('should stop when no row has a cert column', async () => {
+            fs.writeFileSync(input, 'Serial,Value\n133548817,\n');
+
+            await main([input]);
+
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Missing column for field "cert"')
+            );
+            expect(fs.readdirSync(tmpDir)).toEqual(['cards.csv']);
+            expect(process.exitCode).toBe(1);
+        });
+    });
 });
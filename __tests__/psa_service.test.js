@@ -54,6 +54,8 @@ describe('PsaService', () => {
             name: 'Michael Jordan',
             number: '23',
             grade: 10,
+            rawGrade: 'GEM MT 10',
+            source: 'PSA API',
         });
     });
 
@@ -102,6 +104,7 @@ describe('PsaService', () => {
             name: 'Scraped Name',
             number: 'Scraped #1',
             grade: 9,
+            source: 'PSA Scraper',
         });
     });
 
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { timeLookups, buildResultRecord, openResultsExport } = require('../lib/results_export');
+
+describe('Results Export', () => {
+    describe('timeLookups', () => {
+        test('should measure PSA and CL lookups and pass their results through', async () => {
+            const services = {
+                page: { name: 'page' },
+                psaService: { getDetails: jest.fn().mockResolvedValue({ name: 'Pikachu' }) },
+                getCLValue: jest.fn().mockResolvedValue({ raw: 50 }),
+            };
+            const lookups = timeLookups(services);
+
+            await expect(lookups.services.psaService.getDetails('123')).resolves.toEqual({
+                name: 'Pikachu',
+            });
+            await expect(lookups.services.getCLValue(services.page, '123', null)).resolves.toEqual({
+                raw: 50,
+            });
+
+            expect(lookups.services.page).toBe(services.page);
+            expect(services.getCLValue).toHaveBeenCalledWith(services.page, '123', null);
+            expect(lookups.timings).toEqual({
+                psaMs: expect.any(Number),
+                clMs: expect.any(Number),
+            });
+        });
+
+        test('should count failed lookups too', async () => {
+            const lookups = timeLookups({
+                psaService: { getDetails: jest.fn().mockRejectedValue(new Error('429')) },
+                getCLValue: jest.fn(),
+            });
+
+            await expect(lookups.services.psaService.getDetails('123')).rejects.toThrow('429');
+            expect(lookups.timings.psaMs).toBeGreaterThanOrEqual(0);
+        });
+    });
+
+    describe('buildResultRecord', () => {
+        const startedAt = new Date('2026-10-19T10:00:00Z');
+        const rowData = {
+            cert: '123',
+            currentVal: '',
+            currentName: 'Pikachu',
+            prevRowData: { prevName: 'Eevee' },
+        };
+
+        test('should combine inputs, the result and timings', () => {
+            const result = {
+                writeValue: 51,
+                rowModified: true,
+                provenance: { value: { source: 'CL API', raw: 50.2 } },
+            };
+
+            const record = buildResultRecord({
+                flow: 'csv',
+                location: { file: 'cards.csv' },
+                row: 4,
+                rowData,
+                result,
+                startedAt,
+                timings: { psaMs: 0, clMs: 1200 },
+            });
+
+            expect(record).toEqual({
+                timestamp: '2026-10-19T10:00:00.000Z',
+                flow: 'csv',
+                file: 'cards.csv',
+                row: 4,
+                cert: '123',
+                inputs: { cert: '123', currentVal: '', currentName: 'Pikachu' },
+                result,
+                status: 'Filled',
+                source: 'CL API',
+                error: null,
+                timings: { totalMs: expect.any(Number), psaMs: 0, clMs: 1200 },
+            });
+        });
+
+        test('should record rows that failed', () => {
+            const record = buildResultRecord({
+                flow: 'csv',
+                location: { file: 'cards.csv' },
+                row: 5,
+                rowData,
+                result: null,
+                error: new Error('Navigation timeout'),
+                startedAt,
+            });
+
+            expect(record).toEqual(
+                expect.objectContaining({
+                    result: null,
+                    status: 'Error',
+                    error: 'Navigation timeout',
+                    timings: expect.objectContaining({ psaMs: null, clMs: null }),
+                })
+            );
+        });
+    });
+
+    describe('openResultsExport', () => {
+        test('should append one JSON line per record', () => {
+            const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-export-test-'));
+            const file = path.join(tmpDir, 'results.ndjson');
+            fs.writeFileSync(file, '{"row":1}\n');
+
+            const resultsExport = openResultsExport(file);
+            resultsExport.write({ row: 2 });
+            resultsExport.write({ row: 3 });
+
+            expect(fs.readFileSync(file, 'utf8')).toBe('{"row":1}\n{"row":2}\n{"row":3}\n');
+            expect(resultsExport.count).toBe(2);
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        test('should be off without a file', () => {
+            expect(openResultsExport('')).toBeNull();
+        });
+    });
+});
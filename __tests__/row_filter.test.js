@@ -0,0 +1,76 @@
+const { parseRowFilter, compileRowFilter } = require('../lib/row_filter');
+
+describe('Row Filter', () => {
+    const headers = ['Certification Number', 'OWNERSHIP', 'Date Added', 'CL Confidence Level'];
+
+    const matches = (expression, row) =>
+        compileRowFilter(expression, headers)((index) => row[headers[index]]);
+
+    describe('parseRowFilter', () => {
+        test('should parse text, number and date conditions', () => {
+            expect(
+                parseRowFilter(
+                    'OWNERSHIP = "Consignment" AND CL Confidence Level < 3 and Date Added >= 2026-09-01'
+                )
+            ).toEqual([
+                { column: 'OWNERSHIP', operator: '=', type: 'text', value: 'Consignment' },
+                { column: 'CL Confidence Level', operator: '<', type: 'number', value: 3 },
+                {
+                    column: 'Date Added',
+                    operator: '>=',
+                    type: 'date',
+                    value: new Date(2026, 8, 1).getTime(),
+                },
+            ]);
+        });
+
+        test('should not split on AND inside quotes', () => {
+            expect(parseRowFilter('OWNERSHIP <> "Rose AND Co"')).toEqual([
+                { column: 'OWNERSHIP', operator: '!=', type: 'text', value: 'Rose AND Co' },
+            ]);
+        });
+
+        test('should return no conditions for an empty expression', () => {
+            expect(parseRowFilter('')).toEqual([]);
+            expect(compileRowFilter(undefined, headers)).toBeNull();
+        });
+
+        test('should reject conditions without an operator', () => {
+            expect(() => parseRowFilter('OWNERSHIP Consignment')).toThrow('Invalid row filter');
+        });
+    });
+
+    describe('compileRowFilter', () => {
+        test('should match text case-insensitively', () => {
+            expect(matches('ownership = "Consignment"', { OWNERSHIP: ' consignment ' })).toBe(true);
+            expect(matches('OWNERSHIP = "Consignment"', { OWNERSHIP: 'rose' })).toBe(false);
+        });
+
+        test('should compare numbers and skip blank cells', () => {
+            expect(matches('CL Confidence Level < 3', { 'CL Confidence Level': '2' })).toBe(true);
+            expect(matches('CL Confidence Level < 3', { 'CL Confidence Level': '4' })).toBe(false);
+            expect(matches('CL Confidence Level < 3', { 'CL Confidence Level': '' })).toBe(false);
+            expect(matches('CL Confidence Level != 3', { 'CL Confidence Level': '' })).toBe(true);
+        });
+
+        test('should compare dates in either format', () => {
+            expect(matches('Date Added >= 2026-09-01', { 'Date Added': '9/15/2026' })).toBe(true);
+            expect(matches('Date Added >= 2026-09-01', { 'Date Added': '2026-08-31' })).toBe(false);
+            expect(matches('Date Added >= 2026-09-01', { 'Date Added': '2/9' })).toBe(false);
+        });
+
+        test('should require every condition', () => {
+            const row = { OWNERSHIP: 'Consignment', 'CL Confidence Level': '4' };
+
+            expect(matches('OWNERSHIP = "Consignment" AND CL Confidence Level < 3', row)).toBe(
+                false
+            );
+        });
+
+        test('should reject unknown columns', () => {
+            expect(() => compileRowFilter('Owner = "x"', headers)).toThrow(
+                'Row filter column "Owner" not found in headers'
+            );
+        });
+    });
+});
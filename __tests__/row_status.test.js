@@ -0,0 +1,84 @@
+const { describeRowStatus } = require('../lib/row_status');
+
+describe('Row Status', () => {
+    const result = (overrides = {}) => ({
+        writeName: null,
+        writeNumber: null,
+        writeGrade: null,
+        writeValue: null,
+        writeConfidence: undefined,
+        rowModified: false,
+        mismatch: null,
+        correction: null,
+        provenance: {},
+        clResult: null,
+        clSkipped: null,
+        ...overrides,
+    });
+
+    test('should report filled rows and the value source', () => {
+        expect(
+            describeRowStatus(
+                result({
+                    writeValue: 51,
+                    writeConfidence: 4,
+                    provenance: { value: { source: 'CL API', raw: 50.2 } },
+                    rowModified: true,
+                })
+            )
+        ).toEqual({ status: 'Filled', source: 'CL API', error: '' });
+    });
+
+    test('should explain PSA failures and no comps', () => {
+        const status = describeRowStatus(
+            result({
+                writeValue: 'No comps',
+                writeErrorColor: true,
+                writePsaErrorColor: true,
+                provenance: { value: { source: 'CL', raw: null } },
+            })
+        );
+
+        expect(status.status).toBe('PSA failed, No comps');
+        expect(status.error).toBe(
+            'PSA returned no details for this cert; Card Ladder found no sales for this card'
+        );
+    });
+
+    test('should describe mismatches left in place', () => {
+        const status = describeRowStatus(
+            result({
+                mismatch: {
+                    row: 2,
+                    cert: '1',
+                    sheetVal: 100,
+                    scrapedVal: 200,
+                    aboveThreshold: true,
+                },
+                clResult: { raw: 190, higher: 200, confidence: 3, source: 'CL Scrape' },
+                writeConfidence: 3,
+            })
+        );
+
+        expect(status).toEqual({
+            status: 'Filled, Mismatch',
+            source: 'CL Scrape',
+            error: 'Value 100 differs from Card Ladder 200 (above threshold); not overwritten',
+        });
+    });
+
+    test('should name SKIP_CL_CHECK and untouched rows', () => {
+        expect(describeRowStatus(result({ clSkipped: 'SKIP_CL_CHECK' })).status).toBe(
+            'Skipped (SKIP_CL_CHECK)'
+        );
+        expect(describeRowStatus(result({ clSkipped: 'WRITE_MODE' })).status).toBe('Unchanged');
+    });
+
+    test('should report thrown errors', () => {
+        expect(describeRowStatus(null, new Error('Navigation timeout'))).toEqual({
+            status: 'Error',
+            source: '',
+            error: 'Navigation timeout',
+        });
+    });
+});
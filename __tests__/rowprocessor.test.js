@@ -1,4 +1,5 @@
 const { processRow } = require('../lib/rowprocessor');
+const { createMismatchPolicy } = require('../lib/mismatch_policy');
 
 // Mocks
 const mockPsaService = {
@@ -83,6 +84,83 @@ describe('processRow Logic', () => {
         });
     });
 
+    test('should note which setting skipped the CL lookup', async () => {
+        const rowData = {
+            cert: '123',
+            currentName: 'Pikachu',
+            currentNumber: '1',
+            currentGrade: '10',
+        };
+
+        const skipped = await processRow({ ...rowData, currentVal: '100' }, services, {
+            WRITE_MODE: 'CL',
+            SKIP_CL_CHECK: true,
+            rowNumber: 2,
+        });
+        const psaOnly = await processRow(rowData, services, { WRITE_MODE: 'PSA', rowNumber: 2 });
+
+        expect(mockGetCLValue).not.toHaveBeenCalled();
+        expect(skipped.clSkipped).toBe('SKIP_CL_CHECK');
+        expect(psaOnly.clSkipped).toBe('WRITE_MODE');
+    });
+
+    describe('MISMATCH_POLICY', () => {
+        const policy = createMismatchPolicy({ tolerance: '5%', threshold: '50%' });
+        const run = (currentVal, higher, mismatchPolicy = policy) => {
+            mockGetCLValue.mockResolvedValue({ raw: 50, higher });
+            return processRow({ cert: '123', currentVal }, services, {
+                WRITE_MODE: 'BOTH',
+                CL_VALUE_CHOICE: 'HIGHER',
+                MISMATCH_POLICY: mismatchPolicy,
+                rowNumber: 2,
+            });
+        };
+
+        test('should ignore differences within the tolerance', async () => {
+            const result = await run('100', 104);
+
+            expect(result.mismatch).toBeNull();
+            expect(result.writeValue).toBeNull();
+        });
+
+        test('should flag differences between tolerance and threshold', async () => {
+            const result = await run('100', 120);
+
+            expect(result.mismatch).toEqual({
+                row: 2,
+                cert: '123',
+                sheetVal: 100,
+                scrapedVal: 120,
+            });
+        });
+
+        test('should mark flagged differences above the threshold', async () => {
+            const result = await run('100', 200);
+
+            expect(result.mismatch.aboveThreshold).toBe(true);
+            expect(result.writeValue).toBeNull();
+        });
+
+        test('should overwrite differences above the threshold when action is overwrite', async () => {
+            const result = await run(
+                '100',
+                200,
+                createMismatchPolicy({ threshold: '50%', action: 'overwrite' })
+            );
+
+            expect(result.mismatch).toBeNull();
+            expect(result.writeValue).toBe(200);
+            expect(result.rowModified).toBe(true);
+            expect(result.correction).toEqual({
+                row: 2,
+                cert: '123',
+                sheetVal: 100,
+                scrapedVal: 200,
+            });
+            expect(result.provenance.value).toEqual({ source: 'CL', raw: 50 });
+        });
+    });
+
     test('should overwrite CL value when FORCE_CL_OVERWRITE is true', async () => {
         const rowData = { cert: '123', currentVal: '100' };
         const options = {
@@ -183,4 +261,66 @@ describe('processRow Logic', () => {
         expect(result.writePsaErrorColor).toBe(true);
         expect(result.rowModified).toBe(true);
     });
+
+    test('should report PSA and CL sources for written fields', async () => {
+        const rowData = { cert: '123', currentName: '', currentNumber: '1', currentGrade: '' };
+        const options = { WRITE_MODE: 'BOTH', rowNumber: 6 };
+
+        mockPsaService.getDetails.mockResolvedValue({
+            name: 'Pikachu',
+            number: '1',
+            grade: 10,
+            rawGrade: 'GEM MT 10',
+            source: 'PSA API',
+        });
+        mockGetCLValue.mockResolvedValue({
+            raw: 50.2,
+            higher: 55,
+            confidence: 4,
+            source: 'CL Scrape',
+        });
+
+        const result = await processRow(rowData, services, options);
+
+        expect(result.provenance).toEqual({
+            name: { source: 'PSA API', raw: 'Pikachu' },
+            grade: { source: 'PSA API', raw: 'GEM MT 10' },
+            confidence: { source: 'CL Scrape', raw: 4 },
+            value: { source: 'CL Scrape', raw: 50.2 },
+        });
+    });
+
+    test('should report the CL source for "No comps"', async () => {
+        const rowData = { cert: '123', currentVal: '' };
+        const options = { WRITE_MODE: 'CL', rowNumber: 7 };
+
+        mockGetCLValue.mockResolvedValue({ raw: 0, higher: 0, source: 'CL Scrape' });
+
+        const result = await processRow(rowData, services, options);
+
+        expect(result.writeValue).toBe('No comps');
+        expect(result.provenance.value).toEqual({ source: 'CL Scrape', raw: 0 });
+    });
+
+    test('should return the CL result even when the value is not written', async () => {
+        const rowData = { cert: '123', currentVal: '100' };
+        const options = { WRITE_MODE: 'BOTH', rowNumber: 8 };
+
+        mockGetCLValue.mockResolvedValue({
+            raw: 99.5,
+            higher: 120,
+            confidence: 3,
+            source: 'CL API',
+        });
+
+        const result = await processRow(rowData, services, options);
+
+        expect(result.writeValue).toBeNull();
+        expect(result.clResult).toEqual({
+            raw: 99.5,
+            higher: 120,
+            confidence: 3,
+            source: 'CL API',
+        });
+    });
 });
@@ -0,0 +1,210 @@
+const { RUN_LOCK_HEADERS, rangesOverlap, acquireRunLock } = require('../lib/run_lock');
+
+// In-memory stand-in for the lock tab: rows are arrays in RUN_LOCK_HEADERS order
+const createLockSheet = (initialRows = []) => {
+    const data = initialRows.map((values) => [...values]);
+    const column = (header) => RUN_LOCK_HEADERS.indexOf(header);
+    return {
+        data,
+        loadHeaderRow: jest.fn(),
+        getRows: jest.fn(async () =>
+            data.map((values, index) => ({
+                rowNumber: index + 2,
+                get: (header) => values[column(header)],
+                set: (header, value) => {
+                    values[column(header)] = value;
+                },
+                save: jest.fn(),
+                delete: jest.fn(async () => {
+                    data.splice(data.indexOf(values), 1);
+                }),
+            }))
+        ),
+        addRows: jest.fn(async (rows) => {
+            data.push(...rows.map((values) => [...values]));
+        }),
+    };
+};
+
+describe('Run Lock', () => {
+    const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const lockRow = (overrides = {}) => {
+        const values = {
+            'Lock ID': 'other',
+            Holder: 'alex@laptop',
+            Tab: 'Inventory',
+            'Start Row': 2,
+            'End Row': '',
+            Started: anHourAgo(),
+            Expires: inAnHour(),
+            ...overrides,
+        };
+        return RUN_LOCK_HEADERS.map((header) => values[header]);
+    };
+    const options = { holder: 'sam@desktop', ttlMs: 60000 };
+    let sheet;
+    let doc;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        sheet = createLockSheet();
+        doc = { title: 'Cards', sheetsByTitle: { 'Run Lock': sheet } };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('rangesOverlap', () => {
+        test('should compare rows on the same tab only', () => {
+            const a = { tab: 'A', start: 2, end: 50 };
+
+            expect(rangesOverlap(a, { tab: 'A', start: 50, end: null })).toBe(true);
+            expect(rangesOverlap(a, { tab: 'A', start: 51, end: 90 })).toBe(false);
+            expect(rangesOverlap(a, { tab: 'B', start: 2, end: 50 })).toBe(false);
+            expect(rangesOverlap({ tab: 'A', start: 2, end: null }, a)).toBe(true);
+        });
+    });
+
+    describe('acquireRunLock', () => {
+        test('should claim free ranges and release them', async () => {
+            const { lock, conflicts } = await acquireRunLock(
+                doc,
+                [
+                    { tab: 'Inventory', start: 2, end: null },
+                    { tab: 'Consignor A', start: 10, end: 20 },
+                ],
+                options
+            );
+
+            expect(conflicts).toEqual([]);
+            expect(sheet.data).toHaveLength(2);
+            expect(sheet.data[1]).toEqual([
+                lock.id,
+                'sam@desktop',
+                'Consignor A',
+                10,
+                20,
+                expect.any(String),
+                expect.any(String),
+            ]);
+            expect(sheet.addRows).toHaveBeenCalledWith(expect.any(Array), { raw: true });
+
+            await lock.release();
+
+            expect(sheet.data).toEqual([]);
+        });
+
+        test('should create a hidden lock tab when missing', async () => {
+            doc = {
+                title: 'Cards',
+                sheetsByTitle: {},
+                addSheet: jest.fn().mockResolvedValue(sheet),
+            };
+
+            await acquireRunLock(doc, [{ tab: 'Inventory', start: 2, end: null }], options);
+
+            expect(doc.addSheet).toHaveBeenCalledWith({
+                title: 'Run Lock',
+                headerValues: RUN_LOCK_HEADERS,
+                hidden: true,
+            });
+        });
+
+        test('should refuse ranges held by another run', async () => {
+            sheet.data.push(lockRow({ 'Start Row': 40, 'End Row': 80 }));
+
+            const { lock, conflicts } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 2, end: 50 }],
+                options
+            );
+
+            expect(lock).toBeNull();
+            expect(conflicts).toEqual([
+                expect.objectContaining({
+                    holder: 'alex@laptop',
+                    tab: 'Inventory',
+                    range: '40-80',
+                }),
+            ]);
+            expect(sheet.data).toHaveLength(1);
+        });
+
+        test('should allow other tabs and other rows', async () => {
+            sheet.data.push(lockRow({ Tab: 'Consignor A' }), lockRow({ 'End Row': 40 }));
+
+            const { lock } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 41, end: null }],
+                options
+            );
+
+            expect(lock).not.toBeNull();
+            expect(sheet.data).toHaveLength(3);
+        });
+
+        test('should remove expired locks', async () => {
+            sheet.data.push(lockRow({ Expires: anHourAgo() }));
+
+            const { lock } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 2, end: null }],
+                options
+            );
+
+            expect(lock).not.toBeNull();
+            expect(sheet.data.map((values) => values[0])).toEqual([lock.id]);
+        });
+
+        test('should take over overlapping locks when forced', async () => {
+            sheet.data.push(lockRow());
+
+            const { lock } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 2, end: null }],
+                { ...options, force: true }
+            );
+
+            expect(sheet.data.map((values) => values[0])).toEqual([lock.id]);
+            expect(console.warn).toHaveBeenCalledWith(
+                expect.stringContaining('Taking over the run lock of alex@laptop')
+            );
+        });
+
+        test('should back off when a rival claimed the range first', async () => {
+            const addRows = sheet.addRows.getMockImplementation();
+            sheet.addRows.mockImplementation(async (rows) => {
+                // Another run added its claim just before ours
+                sheet.data.push(lockRow({ Started: new Date(Date.now() - 1000).toISOString() }));
+                await addRows(rows);
+            });
+
+            const { lock, conflicts } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 2, end: null }],
+                options
+            );
+
+            expect(lock).toBeNull();
+            expect(conflicts).toHaveLength(1);
+            expect(sheet.data.map((values) => values[0])).toEqual(['other']);
+        });
+
+        test('should extend the lock on refresh', async () => {
+            const { lock } = await acquireRunLock(
+                doc,
+                [{ tab: 'Inventory', start: 2, end: null }],
+                { ...options, ttlMs: 1000 }
+            );
+            const firstExpiry = new Date(sheet.data[0][6]);
+
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await lock.refresh();
+
+            expect(new Date(sheet.data[0][6]).getTime()).toBeGreaterThan(firstExpiry.getTime());
+        });
+    });
+});
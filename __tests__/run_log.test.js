@@ -0,0 +1,100 @@
+const { RUN_LOG_HEADERS, buildRunLogRows, appendRunLog } = require('../lib/run_log');
+
+describe('Run Log', () => {
+    const summary = {
+        docTitle: 'Inventory',
+        tab: 'Consignor A',
+        range: '2-End',
+        processedCount: 10,
+        modifiedCount: 4,
+        mismatches: [{ row: 5, cert: '111', sheetVal: 100, scrapedVal: 140 }],
+        corrections: [{ row: 6, cert: '444', sheetVal: 100, scrapedVal: 300 }],
+        noCompsRows: [{ row: 7, cert: '222' }],
+        unconfirmedSaves: [{ rowNumber: 9, cells: [{ a1: 'B9', expected: 51, actual: null }] }],
+        duplicateCerts: [{ cert: '333', count: 2, rows: 'Consignor A row 3, Consignor A row 8' }],
+    };
+
+    describe('buildRunLogRows', () => {
+        test('should build one block with a line per entry', () => {
+            const rows = buildRunLogRows([summary], {
+                startedAt: new Date(2026, 8, 3, 4, 5, 6),
+                writeMode: 'BOTH',
+            });
+
+            expect(rows.map((row) => row[2])).toEqual([
+                'Run',
+                'Summary',
+                'Mismatch',
+                'Auto-corrected',
+                'No comps',
+                'Unconfirmed save',
+                'Duplicate cert',
+            ]);
+            rows.forEach((row) => {
+                expect(row).toHaveLength(RUN_LOG_HEADERS.length);
+                expect(row[0]).toBe('2026-09-03 04:05:06');
+            });
+            expect(rows[1][7]).toContain('processed 10');
+            expect(rows[1][7]).toContain('no comps 1');
+            expect(rows[1][7]).toContain('corrected 1');
+            expect(rows[2]).toEqual([
+                '2026-09-03 04:05:06',
+                'Consignor A',
+                'Mismatch',
+                5,
+                '111',
+                100,
+                140,
+                '',
+            ]);
+            expect(rows[3][4]).toBe('444');
+            expect(rows[3][7]).toBe('Above threshold, overwritten');
+            expect(rows[5][7]).toBe('B9: expected 51, found ');
+            expect(rows[6][4]).toBe('333');
+            expect(rows[6][7]).toBe('2 rows: Consignor A row 3, Consignor A row 8');
+        });
+    });
+
+    describe('appendRunLog', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should create the tab with headers when missing', async () => {
+            const sheet = { addRows: jest.fn() };
+            const doc = {
+                title: 'Inventory',
+                sheetsByTitle: {},
+                addSheet: jest.fn().mockResolvedValue(sheet),
+            };
+
+            await appendRunLog(doc, [['row']]);
+
+            expect(doc.addSheet).toHaveBeenCalledWith({
+                title: 'Run Log',
+                headerValues: RUN_LOG_HEADERS,
+            });
+            expect(sheet.addRows).toHaveBeenCalledWith([['row']]);
+        });
+
+        test('should set headers on an empty existing tab', async () => {
+            const sheet = {
+                loadHeaderRow: jest
+                    .fn()
+                    .mockRejectedValue(new Error('No values in the header row')),
+                setHeaderRow: jest.fn(),
+                addRows: jest.fn(),
+            };
+            const doc = { title: 'Inventory', sheetsByTitle: { Log: sheet } };
+
+            await appendRunLog(doc, [['row']], 'Log');
+
+            expect(sheet.setHeaderRow).toHaveBeenCalledWith(RUN_LOG_HEADERS);
+            expect(sheet.addRows).toHaveBeenCalledWith([['row']]);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { loadCellsWithRetry, loadColumnRange } = require('../lib/sheet_loader');
+
+describe('Sheet Loader', () => {
+    let mockSheet;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mockSheet = {
+            loadCells: jest.fn().mockResolvedValue(),
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('loadCellsWithRetry', () => {
+        test('should retry quota errors with backoff', async () => {
+            mockSheet.loadCells
+                .mockRejectedValueOnce(new Error('Quota exceeded (429)'))
+                .mockResolvedValueOnce();
+
+            await loadCellsWithRetry(mockSheet, ['A2:A3'], { backoffMs: 0 });
+
+            expect(mockSheet.loadCells).toHaveBeenCalledTimes(2);
+        });
+
+        test('should rethrow other errors immediately', async () => {
+            mockSheet.loadCells.mockRejectedValue(new Error('Permission denied'));
+
+            await expect(loadCellsWithRetry(mockSheet, ['A2:A3'])).rejects.toThrow(
+                'Permission denied'
+            );
+            expect(mockSheet.loadCells).toHaveBeenCalledTimes(1);
+        });
+
+        test('should give up after 5 attempts', async () => {
+            mockSheet.loadCells.mockRejectedValue(new Error('429'));
+
+            await expect(
+                loadCellsWithRetry(mockSheet, ['A2:A3'], { backoffMs: 0 })
+            ).rejects.toThrow('429');
+            expect(mockSheet.loadCells).toHaveBeenCalledTimes(5);
+        });
+    });
+
+    describe('loadColumnRange', () => {
+        test('should load all columns of a chunk in one read', async () => {
+            const reads = await loadColumnRange(mockSheet, [0, 2, -1], 2, 10, { delayMs: 0 });
+
+            expect(reads).toBe(1);
+            expect(mockSheet.loadCells).toHaveBeenCalledWith(['A2:A10', 'C2:C10']);
+        });
+
+        test('should split long ranges into chunks', async () => {
+            const reads = await loadColumnRange(mockSheet, [1], 2, 1201, {
+                chunkSize: 500,
+                delayMs: 0,
+            });
+
+            expect(reads).toBe(3);
+            expect(mockSheet.loadCells.mock.calls.map((call) => call[0])).toEqual([
+                ['B2:B501'],
+                ['B502:B1001'],
+                ['B1002:B1201'],
+            ]);
+        });
+
+        test('should skip loading for an empty range', async () => {
+            const reads = await loadColumnRange(mockSheet, [0], 2, 1, { delayMs: 0 });
+
+            expect(reads).toBe(0);
+            expect(mockSheet.loadCells).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { selectSheetTabs, getOrCreateTab } = require('../lib/sheet_targets');
+
+describe('selectSheetTabs', () => {
+    const titles = ['Consignor A', 'Consignor B', 'Archive'];
+
+    test('should keep listed tabs in the given order', () => {
+        const result = selectSheetTabs(titles, { tabs: ['Consignor B', 'Consignor A'] });
+        expect(result).toEqual({ matched: ['Consignor B', 'Consignor A'], missing: [] });
+    });
+
+    test('should report listed tabs that do not exist', () => {
+        const result = selectSheetTabs(titles, { tabs: ['Consignor A', 'Consignor C'] });
+        expect(result).toEqual({ matched: ['Consignor A'], missing: ['Consignor C'] });
+    });
+
+    test('should match tabs by case-insensitive pattern', () => {
+        const result = selectSheetTabs(titles, { pattern: '^consignor' });
+        expect(result).toEqual({ matched: ['Consignor A', 'Consignor B'], missing: [] });
+    });
+
+    test('should not duplicate tabs matched by both name and pattern', () => {
+        const result = selectSheetTabs(titles, { tabs: ['Archive'], pattern: 'Archive|B$' });
+        expect(result.matched).toEqual(['Archive', 'Consignor B']);
+    });
+});
+
+describe('getOrCreateTab', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should return an existing tab with its headers loaded', async () => {
+        const sheet = { loadHeaderRow: jest.fn().mockResolvedValue(), setHeaderRow: jest.fn() };
+        const doc = { title: 'Doc', sheetsByTitle: { Log: sheet }, addSheet: jest.fn() };
+
+        await expect(getOrCreateTab(doc, 'Log', ['A'])).resolves.toBe(sheet);
+        expect(sheet.setHeaderRow).not.toHaveBeenCalled();
+        expect(doc.addSheet).not.toHaveBeenCalled();
+    });
+
+    test('should create a missing tab with headers', async () => {
+        const created = {};
+        const doc = {
+            title: 'Doc',
+            sheetsByTitle: {},
+            addSheet: jest.fn().mockResolvedValue(created),
+        };
+
+        await expect(getOrCreateTab(doc, 'Log', ['A', 'B'])).resolves.toBe(created);
+        expect(doc.addSheet).toHaveBeenCalledWith({ title: 'Log', headerValues: ['A', 'B'] });
+    });
+});
@@ -0,0 +1,58 @@
+const { createShutdown } = require('../lib/shutdown');
+
+describe('Shutdown', () => {
+    let shutdown;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(process, 'exit').mockImplementation(() => {});
+        shutdown = createShutdown({ signals: ['SIGUSR2'] });
+    });
+
+    afterEach(() => {
+        shutdown.dispose();
+        jest.restoreAllMocks();
+    });
+
+    test('should request a stop on the first signal', () => {
+        expect(shutdown.requested).toBe(false);
+
+        process.emit('SIGUSR2', 'SIGUSR2');
+
+        expect(shutdown.requested).toBe(true);
+        expect(shutdown.signal).toBe('SIGUSR2');
+        expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('should exit immediately on a second signal', () => {
+        process.emit('SIGUSR2', 'SIGUSR2');
+        process.emit('SIGUSR2', 'SIGUSR2');
+
+        expect(process.exit).toHaveBeenCalledWith(130);
+    });
+
+    test('should exit on a second signal emitted without a name', () => {
+        process.emit('SIGUSR2');
+        expect(shutdown.requested).toBe(true);
+        expect(process.exit).not.toHaveBeenCalled();
+
+        process.emit('SIGUSR2');
+
+        expect(process.exit).toHaveBeenCalledWith(130);
+    });
+
+    test('should end a sleep early when a stop is requested', async () => {
+        const sleeping = shutdown.sleep(60000);
+        process.emit('SIGUSR2', 'SIGUSR2');
+
+        await expect(sleeping).resolves.toBeUndefined();
+    });
+
+    test('should remove its handlers on dispose', () => {
+        const before = process.listenerCount('SIGUSR2');
+
+        shutdown.dispose();
+
+        expect(process.listenerCount('SIGUSR2')).toBe(before - 1);
+    });
+});
@@ -1,4 +1,10 @@
-const { getColLetter, isMatch, determineProcessingRange } = require('../lib/utility');
+const {
+    getColLetter,
+    isMatch,
+    determineProcessingRange,
+    splitList,
+    formatTimestamp,
+} = require('../lib/utility');
 
 describe('Utility Functions', () => {
     describe('getColLetter', () => {
@@ -82,4 +88,22 @@ describe('Utility Functions', () => {
             expect(result.endRowDisplay).toBe('End');
         });
     });
+
+    describe('splitList', () => {
+        test('should split and trim comma-separated values', () => {
+            expect(splitList(' a, b ,c')).toEqual(['a', 'b', 'c']);
+        });
+
+        test('should drop empty entries', () => {
+            expect(splitList('a,,b,')).toEqual(['a', 'b']);
+            expect(splitList(undefined)).toEqual([]);
+            expect(splitList('')).toEqual([]);
+        });
+    });
+
+    describe('formatTimestamp', () => {
+        test('should format dates as YYYY-MM-DD HH:mm:ss', () => {
+            expect(formatTimestamp(new Date(2026, 8, 3, 4, 5, 6))).toBe('2026-09-03 04:05:06');
+        });
+    });
 });
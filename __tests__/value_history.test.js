@@ -0,0 +1,55 @@
+const {
+    VALUE_HISTORY_HEADERS,
+    buildHistoryRow,
+    appendValueHistory,
+} = require('../lib/value_history');
+
+describe('Value History', () => {
+    describe('buildHistoryRow', () => {
+        test('should build a dated snapshot row', () => {
+            const row = buildHistoryRow(
+                new Date(2026, 9, 19, 8, 30, 0),
+                '123',
+                { raw: 50.2, higher: 55, confidence: 4, source: 'CL API' },
+                'Consignor A'
+            );
+
+            expect(row).toEqual([
+                '2026-10-19 08:30:00',
+                '123',
+                50.2,
+                55,
+                4,
+                'CL API',
+                'Consignor A',
+            ]);
+            expect(row).toHaveLength(VALUE_HISTORY_HEADERS.length);
+        });
+
+        test('should leave confidence blank when unknown', () => {
+            const row = buildHistoryRow(new Date(), '123', { raw: 10, higher: 10 }, 'Tab');
+
+            expect(row[4]).toBe('');
+            expect(row[5]).toBe('CL');
+        });
+    });
+
+    describe('appendValueHistory', () => {
+        test('should append rows to the history tab', async () => {
+            const sheet = { loadHeaderRow: jest.fn(), addRows: jest.fn() };
+            const doc = { title: 'Inventory', sheetsByTitle: { 'Value History': sheet } };
+
+            await appendValueHistory(doc, [['row']]);
+
+            expect(sheet.addRows).toHaveBeenCalledWith([['row']]);
+        });
+
+        test('should do nothing without rows', async () => {
+            const doc = { title: 'Inventory', sheetsByTitle: {}, addSheet: jest.fn() };
+
+            await appendValueHistory(doc, []);
+
+            expect(doc.addSheet).not.toHaveBeenCalled();
+        });
+    });
+});
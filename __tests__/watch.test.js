@@ -0,0 +1,69 @@
+const { isRowIncomplete, createWatchTracker, pollUntilStopped } = require('../lib/watch');
+
+describe('Watch', () => {
+    const columns = {
+        cert: { index: 0, header: 'Cert' },
+        value: { index: 1, header: 'Value' },
+        name: { index: 2, header: 'Name' },
+        number: { index: 3, header: 'Number' },
+        grade: { index: 4, header: 'Grade' },
+        confidence: { index: -1, header: null },
+    };
+    const complete = { Cert: '123', Value: '50', Name: 'Pikachu', Number: '25', Grade: '10' };
+    const getter = (row) => (header) => row[header];
+
+    describe('isRowIncomplete', () => {
+        test('should pick rows with a cert and a blank field', () => {
+            expect(isRowIncomplete(getter({ ...complete, Value: '' }), columns, 'CL')).toBe(true);
+            expect(isRowIncomplete(getter({ ...complete, Name: ' ' }), columns, 'BOTH')).toBe(true);
+        });
+
+        test('should only check the fields the write mode fills', () => {
+            expect(isRowIncomplete(getter({ ...complete, Name: '' }), columns, 'CL')).toBe(false);
+            expect(isRowIncomplete(getter({ ...complete, Value: '' }), columns, 'PSA')).toBe(false);
+        });
+
+        test('should ignore rows without a cert and columns not in the sheet', () => {
+            expect(isRowIncomplete(getter({ Cert: '' }), columns, 'BOTH')).toBe(false);
+            expect(isRowIncomplete(getter(complete), columns, 'BOTH')).toBe(false);
+        });
+    });
+
+    describe('createWatchTracker', () => {
+        test('should skip rows already processed with the same cert', () => {
+            const tracker = createWatchTracker();
+            tracker.record('doc::Tab', [{ cert: 123, row: 2 }]);
+
+            expect(tracker.isNew('doc::Tab', 2, '123 ')).toBe(false);
+            expect(tracker.isNew('doc::Tab', 2, '456')).toBe(true);
+            expect(tracker.isNew('doc::Tab', 3, '123')).toBe(true);
+            expect(tracker.isNew('doc::Other', 2, '123')).toBe(true);
+        });
+    });
+
+    describe('pollUntilStopped', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should poll until stopped and survive failed polls', async () => {
+            let polls = 0;
+            const poll = jest.fn(async () => {
+                polls += 1;
+                if (polls === 1) throw new Error('socket hang up');
+            });
+
+            await pollUntilStopped(poll, { intervalMs: 0, shouldStop: () => polls >= 3 });
+
+            expect(poll).toHaveBeenCalledTimes(3);
+            expect(console.warn).toHaveBeenCalledWith(
+                expect.stringContaining('Watch poll failed'),
+                'socket hang up'
+            );
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const {
+    ERROR_FILL,
+    cellText,
+    readXlsx,
+    readErrorColumns,
+    createXlsxWriter,
+} = require('../lib/xlsx');
+
+describe('XLSX', () => {
+    let tmpDir;
+    let file;
+
+    // A workbook with a notes sheet first, then the cards with a title row above the headers
+    const writeWorkbook = async () => {
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet('Notes').getCell('A1').value = 'Sent 2/9';
+        const cards = workbook.addWorksheet('Cards');
+        cards.addRow(['Consignor: rose']);
+        cards.addRow(['Card Name', 'Certification Number', 'CL Market Value', 'Date Added']);
+        cards.addRow([null, 133548817, null, new Date(Date.UTC(2026, 1, 9))]);
+        cards.addRow([null, 133548812, { formula: '1+1', result: 2 }, null]);
+        cards.getRow(2).font = { bold: true };
+        await workbook.xlsx.writeFile(file);
+    };
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlsx-test-'));
+        file = path.join(tmpDir, 'cards.xlsx');
+        await writeWorkbook();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('cellText', () => {
+        test('should turn cell values into text', () => {
+            expect(cellText(null)).toBe('');
+            expect(cellText(133548817)).toBe('133548817');
+            expect(cellText(new Date(Date.UTC(2026, 1, 9)))).toBe('2026-02-09');
+            expect(cellText({ formula: 'A1*2', result: 48 })).toBe('48');
+            expect(cellText({ richText: [{ text: 'MIMIKYU' }, { text: '-HOLO' }] })).toBe(
+                'MIMIKYU-HOLO'
+            );
+            expect(cellText({ text: 'PSA', hyperlink: 'https://psacard.com' })).toBe('PSA');
+        });
+    });
+
+    describe('readXlsx', () => {
+        test('should read the first sheet with a cert column', async () => {
+            const { worksheet, records } = await readXlsx(file);
+
+            expect(worksheet.name).toBe('Cards');
+            expect(records).toEqual([
+                ['Consignor: rose', '', '', ''],
+                ['Card Name', 'Certification Number', 'CL Market Value', 'Date Added'],
+                ['', '133548817', '', '2026-02-09'],
+                ['', '133548812', '2', ''],
+            ]);
+        });
+
+        test('should return no worksheet when none has a cert column', async () => {
+            const { worksheet } = await readXlsx(file, { cert: ['Serial'] });
+
+            expect(worksheet).toBeNull();
+        });
+    });
+
+    describe('createXlsxWriter', () => {
+        test('should update changed cells only and keep formatting', async () => {
+            const { workbook, worksheet } = await readXlsx(file);
+            const output = path.join(tmpDir, 'cards_filled.xlsx');
+            const writer = createXlsxWriter(workbook, worksheet, output);
+
+            writer.write(['MIMIKYU-HOLO', '133548817', '24', '2026-02-09'], { rowNumber: 3 });
+            writer.write(['', '133548812', 'No comps', ''], { rowNumber: 4, errorColumns: [2] });
+            await writer.close();
+
+            const { worksheet: filled } = await readXlsx(output);
+            expect(filled.getCell('A3').value).toBe('MIMIKYU-HOLO');
+            expect(filled.getCell('C3').value).toBe(24);
+            expect(filled.getCell('D3').value).toEqual(new Date(Date.UTC(2026, 1, 9)));
+            expect(filled.getCell('C4').value).toBe('No comps');
+            expect(filled.getCell('C4').fill).toEqual(ERROR_FILL);
+            expect(filled.getCell('A2').font).toEqual(expect.objectContaining({ bold: true }));
+        });
+    });
+
+    describe('readErrorColumns', () => {
+        test('should list the red columns of each row', async () => {
+            const { workbook, worksheet } = await readXlsx(file);
+            worksheet.getCell('C4').fill = ERROR_FILL;
+            await workbook.xlsx.writeFile(file);
+
+            const { worksheet: reread, records } = await readXlsx(file);
+            const rows = records.slice(2);
+            const errorColumns = readErrorColumns(reread, 3, rows);
+
+            expect(errorColumns.get(rows[1])).toEqual([2]);
+            expect(errorColumns.has(rows[0])).toBe(false);
+        });
+    });
+});
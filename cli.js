@@ -0,0 +1,77 @@
+require('dotenv').config();
+const {
+    OPTIONS,
+    validateOption,
+    normalizeOption,
+    parseCliArgs,
+    formatHelp,
+} = require('./lib/cli_options');
+
+/**
+ * Entry point: `node cli.js <sheet|csv|lookup> [options]`.
+ * Flags are copied into their env vars (overriding .env) before the command runs,
+ * so index.js, process_csv.js and lookup.js read one set of option names.
+ * @param {string[]} [args] - Defaults to the command-line arguments
+ */
+async function main(args = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseCliArgs(args);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        console.error('Run "node cli.js --help" for usage.');
+        process.exit(1);
+        return;
+    }
+
+    const { command, positionals, env, help } = parsed;
+    if (help || !command) {
+        console.log(formatHelp(command));
+        process.exit(help ? 0 : 1);
+        return;
+    }
+
+    Object.assign(process.env, env);
+
+    // Values from .env get the same checks as flags
+    const errors = [];
+    for (const option of OPTIONS.filter((candidate) => candidate.commands.includes(command))) {
+        const value = process.env[option.env];
+        if (value === undefined || value.trim() === '') continue;
+        const error = validateOption(option, value.trim());
+        if (error) {
+            errors.push(error);
+        } else {
+            process.env[option.env] = normalizeOption(option, value.trim());
+        }
+    }
+    if (errors.length > 0) {
+        errors.forEach((error) => console.error(`❌ ${error}`));
+        process.exit(1);
+        return;
+    }
+
+    if (command === 'sheet') {
+        if (positionals.length > 0) {
+            console.error(`❌ Unexpected argument "${positionals[0]}" for "sheet"`);
+            process.exit(1);
+            return;
+        }
+        await require('./index').main();
+    } else if (command === 'csv') {
+        if (positionals.length === 0) {
+            console.error('❌ Usage: node cli.js csv <file|directory|"glob"> [more...] [options]');
+            process.exit(1);
+            return;
+        }
+        await require('./process_csv').main(positionals);
+    } else if (command === 'lookup') {
+        await require('./lookup').main(positionals);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { main };
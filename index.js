@@ -1,13 +1,65 @@
 require('dotenv').config();
 const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { JWT } = require('google-auth-library');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 puppeteer.use(StealthPlugin());
 const readline = require('readline');
 const { getCLValue } = require('./lib/services/cl_service');
-const { getColLetter, determineProcessingRange } = require('./lib/utility');
+const { createLookupCache, findDuplicateCerts } = require('./lib/lookup_cache');
+const { getColLetter, determineProcessingRange, splitList } = require('./lib/utility');
+const { loadColumnRange } = require('./lib/sheet_loader');
 const { processRow } = require('./lib/rowprocessor');
+const {
+    CONFIDENCE_COLOR_TARGETS,
+    parseConfidenceColors,
+    planCellWrites,
+    applyCellWrites,
+} = require('./lib/cell_writes');
+const {
+    DEFAULT_PENDING_WRITES_FILE,
+    buildPendingWrites,
+    dropSupersededWrites,
+    readPendingWrites,
+    storePendingWrites,
+    flushPendingWrites,
+} = require('./lib/pending_writes');
+const { DEFAULT_DRY_RUN_FILE, buildDiffRows, writeDiffReport } = require('./lib/dry_run');
+const { DEFAULT_RUN_LOG_TAB, buildRunLogRows, appendRunLog } = require('./lib/run_log');
+const {
+    DEFAULT_VALUE_HISTORY_TAB,
+    buildHistoryRow,
+    appendValueHistory,
+} = require('./lib/value_history');
+const { selectSheetTabs } = require('./lib/sheet_targets');
+const { compileRowFilter } = require('./lib/row_filter');
+const { createMismatchPolicy } = require('./lib/mismatch_policy');
+const {
+    DEFAULT_WATCH_INTERVAL_MS,
+    isRowIncomplete,
+    createWatchTracker,
+    pollUntilStopped,
+} = require('./lib/watch');
+const { createShutdown } = require('./lib/shutdown');
+const { createGoogleAuth } = require('./lib/google_auth');
+const { timeLookups, buildResultRecord, openResultsExport } = require('./lib/results_export');
+const {
+    DEFAULT_RUN_LOCK_TAB,
+    DEFAULT_RUN_LOCK_TTL_MINUTES,
+    acquireRunLock,
+} = require('./lib/run_lock');
+const {
+    DEFAULT_CHECKPOINT_FILE,
+    getCheckpointKey,
+    getCheckpointRange,
+    readCheckpoint,
+    writeCheckpoint,
+} = require('./lib/checkpoint');
+const {
+    loadColumnConfig,
+    resolveColumns,
+    getRequiredFields,
+    findMissingColumns,
+} = require('./lib/columns');
 
 const SCOPES = [
     'https://www.googleapis.com/auth/spreadsheets',
@@ -19,6 +71,17 @@ const rl = readline.createInterface({
     output: process.stdout,
 });
 
+// While the prompt is open, Ctrl+C reaches readline instead of the process. It goes
+// to the shutdown handler once processing has started; before that it ends the
+// process as usual (during sign-in, loading or the login prompt)
+rl.on('SIGINT', () => {
+    if (process.listenerCount('SIGINT') > 0) {
+        process.emit('SIGINT', 'SIGINT');
+    } else {
+        process.kill(process.pid, 'SIGINT');
+    }
+});
+
 const askQuestion = (query) => new Promise((resolve) => rl.question(query, resolve));
 
 const cleanCurrentVal = (val) => {
@@ -41,279 +104,214 @@ const extractSheetId = (value) => {
     return trimmed;
 };
 
-async function main() {
-    console.log('🚀 Starting Card Ladder Automation...');
-
-    const WRITE_MODE = process.env.WRITE_MODE || 'BOTH'; // Options: 'BOTH', 'PSA', 'CL', 'CONFIDENCE'
-    console.log(`📝 Write Mode: ${WRITE_MODE}`);
-
-    // 1. Setup Google Sheets
-    if (
-        !process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ||
-        !process.env.GOOGLE_PRIVATE_KEY ||
-        !process.env.SHEET_ID
-    ) {
-        console.error('❌ Missing environment variables. Please check .env file.');
-        process.exit(1);
+/**
+ * Processes the configured row range of one sheet tab.
+ * @param {Object} target
+ * @param {string} target.sheetId - Spreadsheet ID, for the checkpoint key
+ * @param {Object} target.doc - GoogleSpreadsheet the sheet belongs to
+ * @param {string} target.docTitle - Spreadsheet title, for the summary
+ * @param {Object} target.sheet - GoogleSpreadsheetWorksheet with its header row loaded
+ * @param {Object} target.columns - Result of resolveColumns for the sheet
+ * @param {Function|null} target.rowFilter - From compileRowFilter; rows it rejects are skipped
+ * @param {Function} [target.rowSelector] - (rowNumber, row) => boolean; watch passes only process
+ *   the rows it picks, skip reading cells when it picks none and leave the checkpoint alone
+ * @param {Object} context - Shared browser page, services, settings and stale-check state
+ * @returns {Promise<Object>} Summary of the sheet run
+ */
+async function processSheet(
+    { sheetId, doc, docTitle, sheet, columns, rowFilter, rowSelector },
+    context
+) {
+    const { page, psaService, getCLValue, state, settings, startedAt, shutdown, resultsExport } =
+        context;
+    const {
+        WRITE_MODE,
+        CL_VALUE_CHOICE,
+        saveChunkSize,
+        saveChunkDelayMs,
+        readChunkSize,
+        readDelayMs,
+        readBackoffMs,
+        resume,
+        checkpointFile,
+        dryRun,
+        provenanceNotes,
+        valueHistoryTab,
+        confidenceColorTarget,
+        confidenceColors,
+        pendingWritesFile,
+        pendingWriteAttempts,
+        pendingWriteBackoffMs,
+        mismatchPolicy,
+    } = settings;
+
+    const CERT_HEADER = columns.cert.header;
+    const VALUE_HEADER = columns.value.header;
+    const NAME_HEADER = columns.name.header;
+    const NUMBER_HEADER = columns.number.header;
+    const GRADE_HEADER = columns.grade.header;
+    const CONFIDENCE_HEADER = columns.confidence.header;
+
+    const certColIndex = columns.cert.index;
+    const valueColIndex = columns.value.index;
+    const nameColIndex = columns.name.index;
+    const numberColIndex = columns.number.index;
+    const gradeColIndex = columns.grade.index;
+    const confidenceColIndex = columns.confidence.index;
+
+    // Watch passes run every few seconds; keep them to the rows they pick
+    const quiet = Boolean(rowSelector);
+    if (!quiet) {
+        console.log(
+            `✅ Found Headers: "${CERT_HEADER}" (${certColIndex}) | "${VALUE_HEADER}" (${valueColIndex})`
+        );
     }
 
-    // Initialize Auth
-    const jwt = new JWT({
-        email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-        key: process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-        scopes: SCOPES,
+    const mismatches = [];
+    const corrections = [];
+    const unsavedWrites = [];
+    const unconfirmedSaves = [];
+    const diffRows = [];
+    const noCompsRows = [];
+    const certRows = [];
+    const historyRows = [];
+    let processedCount = 0;
+    let modifiedCount = 0;
+
+    const summarize = (range) => ({
+        docTitle,
+        tab: sheet.title,
+        range,
+        processedCount,
+        modifiedCount,
+        mismatches,
+        corrections,
+        noCompsRows,
+        unconfirmedSaves,
+        diffRows,
+        certRows,
+        duplicateCerts: findDuplicateCerts(certRows),
     });
 
-    const sheetId = extractSheetId(process.env.SHEET_ID);
-    if (!sheetId) {
-        console.error('❌ Invalid SHEET_ID or URL. Please check .env file.');
-        process.exit(1);
-    }
-
-    const doc = new GoogleSpreadsheet(sheetId, jwt);
-
-    try {
-        await doc.loadInfo();
-        console.log(`✅ Loaded Google Sheet: "${doc.title}"`);
-    } catch (e) {
-        console.error('❌ Failed to load Google Sheet. Check ID and Permissions.');
-        console.error(e);
-        process.exit(1);
-    }
-
-    const sheetTab = process.env.SHEET_TAB || 'RAW DATA SCRIPTED';
-    const sheet = doc.sheetsByTitle[sheetTab];
-    if (!sheet) {
-        console.error(`❌ Could not find sheet named "${sheetTab}"`);
-        process.exit(1);
+    // Resume from the last saved row of an interrupted run (--resume)
+    const checkpointKey = getCheckpointKey(sheetId, sheet.title);
+    let startRowSetting = process.env.START_ROW;
+    // Progress only carries over between runs over the same rows (START_ROW / END_ROW)
+    const checkpointRange = getCheckpointRange(process.env.START_ROW, process.env.END_ROW);
+    if (resume) {
+        const checkpoint = readCheckpoint(checkpointFile, checkpointKey, checkpointRange);
+        if (checkpoint && checkpoint.completed) {
+            console.log(`⏭️ "${sheet.title}" already completed at ${checkpoint.updatedAt}. Skipping.`);
+            return summarize('Completed');
+        }
+        if (checkpoint) {
+            startRowSetting = String(Math.max(checkpointRange.startRow, checkpoint.lastRow + 1));
+            console.log(
+                `⏯️ Resuming "${sheet.title}" after row ${checkpoint.lastRow} (saved ${checkpoint.updatedAt})`
+            );
+        } else {
+            console.log(`ℹ️ No checkpoint for "${sheet.title}". Starting from START_ROW.`);
+        }
     }
-    console.log(`📄 Using sheet: "${sheet.title}"`);
-
-    // 2. Launch Browser
-    console.log('🌍 Launching Browser...');
-    const browser = await puppeteer.launch({
-        headless: false, // Must be false for manual login
-        defaultViewport: null,
-        userDataDir: './user_data', // SAVE SESSION DATA
-        args: ['--start-maximized'],
-    });
-
-    const page = await browser.newPage();
-
-    // 3. Login Check with Persistence
-    const AuthService = require('./lib/services/auth_service');
-    const authService = new AuthService(process.env.CL_USER, process.env.CL_PASS);
 
-    const loggedIn = await authService.login(page);
-
-    if (!loggedIn) {
-        console.log('Please log in to Card Ladder in the opened browser window.');
+    // Writes whose save failed or timed out, kept on disk until confirmed
+    const pendingTarget = { sheetId, tab: sheet.title };
+    const pendingWrites = dryRun
+        ? []
+        : [...(readPendingWrites(pendingWritesFile)[checkpointKey]?.writes || [])];
+    if (pendingWrites.length > 0) {
         console.log(
-            'Once you are logged in and ready, press ENTER in this terminal to continue...'
+            `📌 ${pendingWrites.length} writes still pending from an earlier run for "${sheet.title}"`
         );
-        await askQuestion('');
-    }
-    console.log('👍 Continuing with scraping...');
-    console.log('👍 Continuing with scraping...');
-
-    // 4. Process Rows
-    // 4.1 FIND COLUMNS DYNAMICALLY
-    const headerRow = Number.parseInt(process.env.HEADER_ROW || '1', 10);
-    if (Number.isNaN(headerRow) || headerRow < 1) {
-        console.error('❌ Invalid HEADER_ROW. Must be a positive number.');
-        process.exit(1);
-    }
-    await sheet.loadHeaderRow(headerRow);
-    console.log('Headers found:', sheet.headerValues);
-    const headers = sheet.headerValues;
-
-    // Configurable headers
-    const CERT_HEADER = "Certification Number";
-    const VALUE_HEADER = "CL Market Value";
-    const NAME_HEADER = "Card Name";
-    const NUMBER_HEADER = "Card Number";
-    const GRADE_HEADER = "Grade";
-    const CONFIDENCE_HEADER = "CL Confidence Level";
-
-    const certColIndex = headers.indexOf(CERT_HEADER);
-    const valueColIndex = headers.indexOf(VALUE_HEADER);
-    const nameColIndex = headers.indexOf(NAME_HEADER);
-    const numberColIndex = headers.indexOf(NUMBER_HEADER);
-    const gradeColIndex = headers.indexOf(GRADE_HEADER);
-    const confidenceColIndex = headers.indexOf(CONFIDENCE_HEADER);
-
-    if (certColIndex === -1) {
-        console.error(`❌ Could not find header "${CERT_HEADER}"`);
-        process.exit(1);
-    }
-    // Only require CL Market Value column if we're writing CL data (not in CONFIDENCE-only mode)
-    if (valueColIndex === -1 && ['BOTH', 'CL'].includes(WRITE_MODE)) {
-        console.error(`❌ Could not find header "${VALUE_HEADER}"`);
-        process.exit(1);
     }
-    // Only require Confidence column if we're writing confidence data
-    if (confidenceColIndex === -1 && ['BOTH', 'CL', 'CONFIDENCE'].includes(WRITE_MODE)) {
-        console.error(`❌ Could not find header "${CONFIDENCE_HEADER}"`);
-        process.exit(1);
-    }
-
-    console.log(
-        `✅ Found Headers: "${CERT_HEADER}" (${certColIndex}) | "${VALUE_HEADER}" (${valueColIndex})`
-    );
 
-    // Initialize PSA Service
-    const PsaService = require('./lib/services/psa_service');
-    const psaService = new PsaService(process.env.PSA_API_KEY, browser);
+    // Moves the writes of every row since the last successful save into the pending queue
+    const queueUnsavedWrites = () => {
+        for (const entry of unsavedWrites) {
+            const cell = sheet.getCellByA1(entry.a1);
+            if (cell?.discardUnsavedChanges) cell.discardUnsavedChanges();
+        }
+        pendingWrites.push(...unsavedWrites.splice(0));
+        storePendingWrites(pendingWritesFile, checkpointKey, pendingTarget, pendingWrites);
+    };
 
-    // 4.2 Process Rows
     const rows = await sheet.getRows();
-    console.log(`📊 Found ${rows.length} rows total.`);
+    if (!quiet) console.log(`📊 Found ${rows.length} rows total.`);
 
     // Parse Row Limits (Human-friendly 1-based row numbers)
     // Default Start: Row 2 (First data row)
     // Default End: Last row
     const { startIndex, endIndex, startRow, endRowDisplay } = determineProcessingRange(
-        process.env.START_ROW,
+        startRowSetting,
         process.env.END_ROW,
         rows.length
     );
 
-    console.log(
-        `🎯 Processing Range: Row ${startRow} to ${endRowDisplay} (Rows processed: ${endIndex - startIndex + 1})`
-    );
-
-    const mismatches = [];
-    const timedOutSaves = [];
-
-    const buildExpectedCells = (result, rowNumber) => {
-        const cells = [];
-
-        if (result.writeName && nameColIndex !== -1) {
-            cells.push({
-                a1: `${getColLetter(nameColIndex)}${rowNumber}`,
-                expected: result.writeName,
-            });
-        }
-        if (result.writeNumber && numberColIndex !== -1) {
-            cells.push({
-                a1: `${getColLetter(numberColIndex)}${rowNumber}`,
-                expected: result.writeNumber,
-            });
-        }
-        if (result.writeGrade && gradeColIndex !== -1) {
-            cells.push({
-                a1: `${getColLetter(gradeColIndex)}${rowNumber}`,
-                expected: result.writeGrade,
-            });
-        }
-        if (result.writeValue !== null && result.writeValue !== undefined && valueColIndex !== -1) {
-            cells.push({
-                a1: `${getColLetter(valueColIndex)}${rowNumber}`,
-                expected: result.writeValue,
-            });
-        }
-        if (
-            result.writeConfidence !== undefined &&
-            result.writeConfidence > 0 &&
-            confidenceColIndex !== -1
-        ) {
-            cells.push({
-                a1: `${getColLetter(confidenceColIndex)}${rowNumber}`,
-                expected: result.writeConfidence,
-            });
-        }
-
-        return cells;
-    };
-
-    let lastScrapedValue = null; // Store RAW unrounded value for stale checks
-    let lastPsaDetails = null; // Store { name, number, grade } to detect identical cards
-
-    // Options: 'RAW' (default) or 'HIGHER'
-    const CL_VALUE_CHOICE = process.env.CL_VALUE_CHOICE || 'RAW';
-    console.log(`⚖️  Value Choice: ${CL_VALUE_CHOICE}`);
+    const matchesRowFilter = (row) =>
+        !rowFilter || rowFilter((index) => row.get(sheet.headerValues[index]));
 
-    const saveChunkSize = Number.parseInt(process.env.SAVE_CHUNK_SIZE || '25', 10);
-    const saveChunkDelayMs = Number.parseInt(process.env.SAVE_CHUNK_DELAY_MS || '1000', 10);
-    const readDelayMs = Number.parseInt(process.env.READ_DELAY_MS || '200', 10);
-    const readBackoffMs = Number.parseInt(process.env.READ_BACKOFF_MS || '5000', 10);
-    if (Number.isNaN(saveChunkSize) || saveChunkSize < 1) {
-        console.error('❌ Invalid SAVE_CHUNK_SIZE. Must be a positive number.');
-        process.exit(1);
-    }
-    if (Number.isNaN(saveChunkDelayMs) || saveChunkDelayMs < 0) {
-        console.error('❌ Invalid SAVE_CHUNK_DELAY_MS. Must be 0 or greater.');
-        process.exit(1);
-    }
-    if (Number.isNaN(readDelayMs) || readDelayMs < 0) {
-        console.error('❌ Invalid READ_DELAY_MS. Must be 0 or greater.');
-        process.exit(1);
-    }
-    if (Number.isNaN(readBackoffMs) || readBackoffMs < 0) {
-        console.error('❌ Invalid READ_BACKOFF_MS. Must be 0 or greater.');
-        process.exit(1);
+    if (quiet) {
+        const selectedCount = rows
+            .slice(startIndex, endIndex + 1)
+            .filter((row, offset) => rowSelector(startIndex + offset + 2, row) && matchesRowFilter(row))
+            .length;
+        if (selectedCount === 0) return summarize(`${startRow}-${endRowDisplay}`);
+        console.log(`👀 "${sheet.title}": ${selectedCount} new rows to fill`);
+    } else {
+        console.log(
+            `🎯 Processing Range: Row ${startRow} to ${endRowDisplay} (Rows processed: ${endIndex - startIndex + 1})`
+        );
     }
-    console.log(`📦 Save Chunk Size: ${saveChunkSize} | Delay: ${saveChunkDelayMs}ms`);
-    console.log(`📖 Read Delay: ${readDelayMs}ms | 429 Backoff: ${readBackoffMs}ms`);
+
+    // Shading the whole row by confidence needs every header column loaded
+    const rowColIndexes =
+        confidenceColorTarget === 'row' ? sheet.headerValues.map((_, index) => index) : [];
+
+    // Load every column we need for the whole range in a few chunked reads
+    // (Row 2 -> index 0), instead of one read per row.
+    const lastRowNumber = Math.min(endIndex, rows.length - 1) + 2;
+    const loadColIndexes = [
+        certColIndex,
+        valueColIndex,
+        confidenceColIndex,
+        nameColIndex,
+        numberColIndex,
+        gradeColIndex,
+    ];
+    await loadColumnRange(
+        sheet,
+        [...new Set([...loadColIndexes, ...rowColIndexes])],
+        startIndex + 2,
+        lastRowNumber,
+        { chunkSize: readChunkSize, delayMs: readDelayMs, backoffMs: readBackoffMs }
+    );
 
     let modifiedSinceSave = 0;
+    let lastProcessedRow = null;
+    let stopped = false;
 
     for (let i = startIndex; i <= endIndex; i++) {
         const row = rows[i];
         if (!row) break;
 
+        // Ctrl+C / SIGTERM: stop between rows; the cells written so far are saved below
+        if (shutdown?.requested) {
+            stopped = true;
+            console.log(`🛑 Stopping "${sheet.title}" before row ${i + 2}.`);
+            break;
+        }
+
         const rowNumber = i + 2; // Manual calculation for row number
+        if (rowSelector && !rowSelector(rowNumber, row)) continue;
+        lastProcessedRow = rowNumber;
 
         console.log(`\nProcessing Row ${rowNumber} | Cert: ${row.get(CERT_HEADER) || 'N/A'}`);
 
-        // Load just the cells we need for this row to avoid range errors
-        // Convert to A1 notation? Or just use grid range.
-        // We need to load a range that covers both columns.
+        // Cells were loaded up front by loadColumnRange; read them from memory
         const certColLetter = getColLetter(certColIndex);
         const valueColLetter = getColLetter(valueColIndex);
         const confidenceColLetter = getColLetter(confidenceColIndex);
 
-        // Prepare ranges to load
-        const cellsToLoad = [];
-        if (certColLetter) cellsToLoad.push(`${certColLetter}${rowNumber}`);
-        if (valueColLetter) cellsToLoad.push(`${valueColLetter}${rowNumber}`);
-        if (confidenceColLetter) cellsToLoad.push(`${confidenceColLetter}${rowNumber}`);
-        if (nameColIndex !== -1) cellsToLoad.push(`${getColLetter(nameColIndex)}${rowNumber}`);
-        if (numberColIndex !== -1) cellsToLoad.push(`${getColLetter(numberColIndex)}${rowNumber}`);
-        if (gradeColIndex !== -1) cellsToLoad.push(`${getColLetter(gradeColIndex)}${rowNumber}`);
-
-        if (cellsToLoad.length > 0) {
-            let attempt = 0;
-            while (attempt < 5) {
-                try {
-                    if (readDelayMs > 0) {
-                        await new Promise((r) => setTimeout(r, readDelayMs));
-                    }
-                    await sheet.loadCells(cellsToLoad);
-                    break;
-                } catch (loadError) {
-                    const message = loadError?.message || String(loadError);
-                    const isTimeout = /timed out|timeout/i.test(message);
-                    const isQuota = /quota exceeded|429/i.test(message);
-                    attempt += 1;
-
-                    if ((isTimeout || isQuota) && attempt < 5) {
-                        console.warn(
-                            `⚠️ Load cells throttled for row ${rowNumber}. Retry ${attempt}/5...`,
-                            message
-                        );
-                        const backoff = isQuota ? readBackoffMs : 2000;
-                        if (backoff > 0) {
-                            await new Promise((r) => setTimeout(r, backoff));
-                        }
-                        continue;
-                    }
-
-                    throw loadError;
-                }
-            }
-        }
-
         const certCell = certColLetter ? sheet.getCellByA1(`${certColLetter}${rowNumber}`) : null;
         const valueCell = valueColLetter
             ? sheet.getCellByA1(`${valueColLetter}${rowNumber}`)
@@ -341,6 +339,12 @@ async function main() {
             continue;
         }
 
+        if (!matchesRowFilter(row)) {
+            console.log(`Skipping Row ${rowNumber}: does not match ROW_FILTER`);
+            continue;
+        }
+        certRows.push({ cert, row: rowNumber });
+
         // Create Row Data Object
         const rowData = {
             cert,
@@ -354,9 +358,9 @@ async function main() {
         if (i > 0) {
             const prevRow = rows[i - 1];
             rowData.prevRowData = {
-                prevName: prevRow.get(NAME_HEADER),
-                prevNumber: prevRow.get(NUMBER_HEADER),
-                prevGrade: prevRow.get(GRADE_HEADER),
+                prevName: NAME_HEADER ? prevRow.get(NAME_HEADER) : null,
+                prevNumber: NUMBER_HEADER ? prevRow.get(NUMBER_HEADER) : null,
+                prevGrade: GRADE_HEADER ? prevRow.get(GRADE_HEADER) : null,
             };
         }
 
@@ -379,8 +383,9 @@ async function main() {
                 (process.env.FORCE_CONFIDENCE_OVERWRITE || 'false').toLowerCase() === 'true',
             FORCE_GRADE_OVERWRITE:
                 (process.env.FORCE_GRADE_OVERWRITE || 'false').toLowerCase() === 'true',
-            lastScrapedValue,
-            lastPsaDetails,
+            MISMATCH_POLICY: mismatchPolicy,
+            lastScrapedValue: state.lastScrapedValue,
+            lastPsaDetails: state.lastPsaDetails,
             rowNumber,
         };
 
@@ -389,13 +394,30 @@ async function main() {
         );
 
         // EXECUTE LOGIC
-        const result = await processRow(rowData, services, options);
+        const rowStartedAt = new Date();
+        const lookups = resultsExport ? timeLookups(services) : null;
+        const result = await processRow(rowData, lookups ? lookups.services : services, options);
+        processedCount += 1;
+
+        if (resultsExport) {
+            resultsExport.write(
+                buildResultRecord({
+                    flow: 'sheet',
+                    location: { spreadsheet: docTitle, sheetId, tab: sheet.title },
+                    row: rowNumber,
+                    rowData,
+                    result,
+                    startedAt: rowStartedAt,
+                    timings: lookups.timings,
+                })
+            );
+        }
 
         console.log(`✅ Row ${rowNumber} processed | Result: ${JSON.stringify(result)}`);
 
         // Update State
-        lastScrapedValue = result.updatedLastScrapedValue;
-        lastPsaDetails = result.updatedLastPsaDetails;
+        state.lastScrapedValue = result.updatedLastScrapedValue;
+        state.lastPsaDetails = result.updatedLastPsaDetails;
 
         // Verify Mismatch
         if (result.mismatch) {
@@ -415,80 +437,113 @@ async function main() {
             console.log(`✅ Verified match or skipped.`);
         }
 
+        if (result.correction) {
+            corrections.push(result.correction);
+        }
+
+        if (result.writeValue === 'No comps') {
+            noCompsRows.push({ row: rowNumber, cert });
+        }
+        if (result.clResult) {
+            historyRows.push(buildHistoryRow(startedAt, cert, result.clResult, sheet.title));
+        }
+
+        // Cells shaded by CL confidence (CONFIDENCE_COLOR=value|row)
+        let confidenceCells = [];
+        if (confidenceColorTarget === 'value') {
+            confidenceCells = [{ label: 'value', cell: valueCell }];
+        } else if (confidenceColorTarget === 'row') {
+            confidenceCells = rowColIndexes.map((index) => ({
+                label: sheet.headerValues[index] || getColLetter(index),
+                cell: sheet.getCellByA1(`${getColLetter(index)}${rowNumber}`),
+            }));
+        }
+
         // Apply Writes
-        if (result.writeName && nameCell) nameCell.value = result.writeName;
-        if (result.writeNumber && numberCell) numberCell.value = result.writeNumber;
-        if (result.writeGrade && gradeCell) gradeCell.value = result.writeGrade;
+        const writes = planCellWrites(
+            result,
+            {
+                name: nameCell,
+                number: numberCell,
+                grade: gradeCell,
+                value: valueCell,
+                confidence: confidenceCell,
+            },
+            WRITE_MODE,
+            { confidenceColors, confidenceCells }
+        );
+
         if (result.writeValue && valueCell) {
-            valueCell.value = result.writeValue;
             console.log(`✏️ Writing value ${result.writeValue} to "${VALUE_HEADER}"`);
         }
-
         if (result.writePsaErrorColor) {
             console.log(`🔴 Marking PSA columns red for Cert: ${cert}`);
-            const errorColor = { red: 1, green: 0.8, blue: 0.8 }; // Light Red
-            if (nameCell) nameCell.backgroundColor = errorColor;
-            if (numberCell) numberCell.backgroundColor = errorColor;
-            if (gradeCell) gradeCell.backgroundColor = errorColor;
         }
-
         if (result.writeErrorColor && valueCell) {
             console.log(`🔴 Marking "${VALUE_HEADER}" red for Cert: ${cert}`);
-            valueCell.backgroundColor = { red: 1, green: 0.8, blue: 0.8 }; // Light Red
         }
 
         // Handle Confidence writing (for BOTH, CL, and CONFIDENCE modes)
         if (result.writeConfidence !== undefined && confidenceCell) {
             if (result.writeConfidence > 0) {
                 console.log(`✏️ Writing confidence ${result.writeConfidence} to "${CONFIDENCE_HEADER}"`);
-                confidenceCell.value = result.writeConfidence;
             } else {
                 console.warn(`⚠️ Could not determine confidence for ${cert}`);
             }
         }
 
+        if (dryRun) {
+            // Record what would change; leave the cells untouched and never save
+            diffRows.push(
+                ...buildDiffRows(writes, { tab: sheet.title, rowNumber, cert, columns })
+            );
+            if (result.rowModified) modifiedCount += 1;
+            continue;
+        }
+
+        const writtenAt = new Date();
+        applyCellWrites(writes, { notes: provenanceNotes, date: writtenAt });
+        const rowWrites = buildPendingWrites(writes, rowNumber, {
+            notes: provenanceNotes,
+            date: writtenAt,
+        });
+        unsavedWrites.push(...rowWrites);
+        // Writes still queued for these cells are older than this row's result
+        const stillPending = dropSupersededWrites(pendingWrites, rowWrites);
+        if (stillPending.length < pendingWrites.length) {
+            pendingWrites.splice(0, pendingWrites.length, ...stillPending);
+            storePendingWrites(pendingWritesFile, checkpointKey, pendingTarget, pendingWrites);
+        }
+
         if (result.rowModified) {
+            modifiedCount += 1;
             modifiedSinceSave += 1;
 
             if (modifiedSinceSave >= saveChunkSize) {
                 try {
                     await sheet.saveUpdatedCells();
-                    if (saveChunkDelayMs > 0) {
-                        await new Promise((r) => setTimeout(r, saveChunkDelayMs));
-                    }
-                    modifiedSinceSave = 0;
+                    unsavedWrites.length = 0;
                 } catch (saveError) {
-                    const message = saveError?.message || String(saveError);
-                    const isTimeout = /timed out|timeout/i.test(message);
-
-                    if (isTimeout) {
-                        console.warn(
-                            `⚠️ Save timed out around row ${rowNumber}. Will verify at end.`,
-                            message
-                        );
-                        const expectedCells = buildExpectedCells(result, rowNumber);
-                        if (expectedCells.length > 0) {
-                            timedOutSaves.push({ rowNumber, expectedCells });
-                        }
-                    } else {
-                        console.error(`❌ Failed to save around row ${rowNumber}:`, message);
-                        // Retry once
-                        try {
-                            console.log(`🔄 Retrying save around row ${rowNumber}...`);
-                            await new Promise((r) => setTimeout(r, 2000)); // Wait 2 seconds
-                            await sheet.saveUpdatedCells();
-                            console.log(`✅ Retry successful around row ${rowNumber}`);
-                        } catch (retryError) {
-                            console.error(
-                                `❌ Retry failed around row ${rowNumber}:`,
-                                retryError?.message || String(retryError)
-                            );
-                        }
-                    }
-
-                    // Reset counter after any save attempt to avoid per-row saves
-                    modifiedSinceSave = 0;
+                    console.warn(
+                        `⚠️ Save failed around row ${rowNumber}. Queued ${unsavedWrites.length} writes to retry.`,
+                        saveError?.message || String(saveError)
+                    );
+                    queueUnsavedWrites();
                 }
+                // Queued writes are on disk, so the checkpoint can move past them
+                if (!rowSelector) {
+                    writeCheckpoint(
+                        checkpointFile,
+                        checkpointKey,
+                        rowNumber,
+                        false,
+                        checkpointRange
+                    );
+                }
+                if (saveChunkDelayMs > 0) {
+                    await new Promise((r) => setTimeout(r, saveChunkDelayMs));
+                }
+                modifiedSinceSave = 0;
             }
         }
     }
@@ -496,59 +551,707 @@ async function main() {
     if (modifiedSinceSave > 0) {
         try {
             await sheet.saveUpdatedCells();
+            unsavedWrites.length = 0;
         } catch (saveError) {
-            const message = saveError?.message || String(saveError);
-            console.warn(`⚠️ Final save timed out or failed:`, message);
+            console.warn(
+                `⚠️ Final save failed. Queued ${unsavedWrites.length} writes to retry.`,
+                saveError?.message || String(saveError)
+            );
+            queueUnsavedWrites();
+        }
+    }
+    // Watch passes pick scattered rows; the first pass's checkpoint stays as it is
+    if (lastProcessedRow !== null && !dryRun && !rowSelector) {
+        // A stopped tab is left unfinished so --resume continues after its last row
+        writeCheckpoint(checkpointFile, checkpointKey, lastProcessedRow, !stopped, checkpointRange);
+    }
+
+    // Dated price snapshots for charting (VALUE_HISTORY=true)
+    if (valueHistoryTab && !dryRun && historyRows.length > 0) {
+        try {
+            await appendValueHistory(doc, historyRows, valueHistoryTab);
+            console.log(`📈 Added ${historyRows.length} rows to "${valueHistoryTab}"`);
+        } catch (e) {
+            console.warn(`⚠️ Could not write "${valueHistoryTab}":`, e.message);
         }
     }
 
-    if (timedOutSaves.length > 0) {
-        console.log(`\n🔍 Verifying ${timedOutSaves.length} timed-out saves...`);
+    if (pendingWrites.length > 0) {
+        console.log(`\n🔍 Confirming ${pendingWrites.length} pending writes...`);
+        const { remaining, unconfirmedSaves: unconfirmed } = await flushPendingWrites(sheet, pendingWrites, {
+            attempts: pendingWriteAttempts,
+            backoffMs: pendingWriteBackoffMs,
+            readBackoffMs,
+        });
+        storePendingWrites(pendingWritesFile, checkpointKey, pendingTarget, remaining);
+        if (remaining.length > 0) {
+            console.warn(
+                `⚠️ ${remaining.length} writes could not be confirmed. Saved to ${pendingWritesFile} (replay with --replay).`
+            );
+            unconfirmedSaves.push(...unconfirmed);
+        }
+    }
+
+    if (stopped) {
+        return summarize(`${startRow}-${lastProcessedRow ?? startRow - 1} (stopped)`);
+    }
+    return summarize(`${startRow}-${endRowDisplay}`);
+}
 
-        for (const entry of timedOutSaves) {
-            const { rowNumber, expectedCells } = entry;
-            const ranges = expectedCells.map((cell) => cell.a1);
+/**
+ * Re-applies every write left in the pending writes file until confirmed,
+ * keeping the ones that still fail for the next replay.
+ * @param {JWT|OAuth2Client} auth - From createGoogleAuth
+ * @param {Object} options
+ * @param {string} options.pendingWritesFile
+ * @param {number} options.attempts
+ * @param {number} options.backoffMs
+ */
+async function replayPendingWrites(auth, { pendingWritesFile, attempts, backoffMs }) {
+    const groups = Object.entries(readPendingWrites(pendingWritesFile));
+    if (groups.length === 0) {
+        console.log(`✅ Nothing to replay in ${pendingWritesFile}.`);
+        return;
+    }
 
-            await sheet.loadCells(ranges);
+    const results = [];
+    for (const [key, { sheetId, tab, writes }] of groups) {
+        console.log(`\n🔁 Replaying ${writes.length} writes to "${tab}"...`);
+        let remaining = writes;
+        try {
+            const doc = new GoogleSpreadsheet(sheetId, auth);
+            await doc.loadInfo();
+            const sheet = doc.sheetsByTitle[tab];
+            if (!sheet) throw new Error(`Could not find sheet named "${tab}" in "${doc.title}"`);
+            ({ remaining } = await flushPendingWrites(sheet, writes, { attempts, backoffMs }));
+        } catch (e) {
+            console.error(`❌ Replay failed for "${tab}":`, e.message);
+        }
+        storePendingWrites(pendingWritesFile, key, { sheetId, tab }, remaining);
+        results.push({
+            Tab: tab,
+            Writes: writes.length,
+            Confirmed: writes.length - remaining.length,
+            Pending: remaining.length,
+        });
+    }
 
-            const mismatched = [];
-            for (const cellInfo of expectedCells) {
-                const cell = sheet.getCellByA1(cellInfo.a1);
-                const expected = cellInfo.expected;
-                const actual = cell?.value ?? null;
+    console.log('\n🏁 Replay Complete!');
+    console.table(results);
+}
 
-                const matches =
-                    typeof expected === 'number'
-                        ? Number(actual) === expected
-                        : String(actual ?? '').trim() === String(expected).trim();
+/**
+ * Prints the per-tab summary table, then the mismatches and auto-corrections.
+ * @param {Object[]} summaries - processSheet summaries
+ */
+function printSummaries(summaries) {
+    console.table(
+        summaries.map((summary) => ({
+            Spreadsheet: summary.docTitle,
+            Tab: summary.tab,
+            Range: summary.range,
+            Processed: summary.processedCount,
+            Modified: summary.modifiedCount,
+            Mismatches: summary.mismatches.length,
+            Corrected: summary.corrections.length,
+            'No Comps': summary.noCompsRows.length,
+            'Unconfirmed Saves': summary.unconfirmedSaves.length,
+            'Duplicate Certs': summary.duplicateCerts.length,
+        }))
+    );
 
-                if (!matches) {
-                    mismatched.push({ a1: cellInfo.a1, expected, actual });
+    const mismatches = summaries.flatMap((summary) =>
+        summary.mismatches.map((mismatch) => ({ tab: summary.tab, ...mismatch }))
+    );
+    if (mismatches.length > 0) {
+        console.warn('\n⚠️ Found Mismatches:');
+        console.table(mismatches);
+    } else {
+        console.log('No mismatches found.');
+    }
+
+    // Differences above MISMATCH_THRESHOLD that were overwritten (MISMATCH_ACTION=overwrite)
+    const corrections = summaries.flatMap((summary) =>
+        summary.corrections.map((correction) => ({ tab: summary.tab, ...correction }))
+    );
+    if (corrections.length > 0) {
+        console.log(
+            `\n✏️ Auto-corrected ${corrections.length} values above the mismatch threshold:`
+        );
+        console.table(corrections);
+    }
+}
+
+/**
+ * Appends one Run Log block per spreadsheet, covering the tabs processed in it.
+ * @param {Object[]} targets - Processed targets, in the same order as summaries
+ * @param {Object[]} summaries
+ * @param {Object} options
+ * @param {Date} options.startedAt
+ * @param {string} options.writeMode
+ * @param {string} options.runLogTab
+ */
+async function appendRunLogs(targets, summaries, { startedAt, writeMode, runLogTab }) {
+    for (const doc of new Set(targets.map((target) => target.doc))) {
+        const docSummaries = summaries.filter((summary, index) => targets[index].doc === doc);
+        try {
+            await appendRunLog(
+                doc,
+                buildRunLogRows(docSummaries, { startedAt, writeMode }),
+                runLogTab
+            );
+            console.log(`🗒️ Run summary written to "${runLogTab}" in "${doc.title}"`);
+        } catch (e) {
+            console.warn(`⚠️ Could not write "${runLogTab}" in "${doc.title}":`, e.message);
+        }
+    }
+}
+
+/**
+ * Watch mode: polls every target for rows that have a cert but are missing a
+ * field WRITE_MODE fills, and processes them with the open browser and services.
+ * Rows already processed with the same cert are not retried.
+ * @param {Object[]} targets
+ * @param {Object[]} summaries - Summaries of the first pass, in target order
+ * @param {Object} context - processSheet context of the first pass
+ * @param {Object} options
+ * @param {number} options.intervalMs - Pause between polls
+ * @param {string|null} options.runLogTab - Run Log tab for passes that processed rows, or null
+ */
+async function watchSheets(targets, summaries, context, { intervalMs, runLogTab }) {
+    const { WRITE_MODE } = context.settings;
+    const tracker = createWatchTracker();
+    const sheetKeys = targets.map(({ sheetId, sheet }) => getCheckpointKey(sheetId, sheet.title));
+    summaries.forEach((summary, index) => tracker.record(sheetKeys[index], summary.certRows));
+
+    console.log(
+        `\n👀 Watching for new certs every ${intervalMs / 1000}s. Press Ctrl+C to stop.`
+    );
+
+    await pollUntilStopped(
+        async () => {
+            const passContext = {
+                ...context,
+                settings: { ...context.settings, resume: false },
+                startedAt: new Date(),
+            };
+            const passTargets = [];
+            const passSummaries = [];
+
+            for (const [index, target] of targets.entries()) {
+                const sheetKey = sheetKeys[index];
+                const certHeader = target.columns.cert.header;
+                const summary = await processSheet(
+                    {
+                        ...target,
+                        rowSelector: (rowNumber, row) =>
+                            isRowIncomplete((header) => row.get(header), target.columns, WRITE_MODE) &&
+                            tracker.isNew(sheetKey, rowNumber, row.get(certHeader)),
+                    },
+                    passContext
+                );
+                tracker.record(sheetKey, summary.certRows);
+                if (summary.processedCount > 0) {
+                    passTargets.push(target);
+                    passSummaries.push(summary);
                 }
             }
 
-            if (mismatched.length === 0) {
-                console.log(`✅ Timeout save confirmed for row ${rowNumber}`);
-            } else {
-                console.warn(
-                    `⚠️ Timeout save not confirmed for row ${rowNumber}:`,
-                    JSON.stringify(mismatched)
+            if (passSummaries.length === 0) return;
+            console.log(`\n🔄 Watch pass at ${passContext.startedAt.toLocaleTimeString()}:`);
+            printSummaries(passSummaries);
+            if (runLogTab) {
+                await appendRunLogs(passTargets, passSummaries, {
+                    startedAt: passContext.startedAt,
+                    writeMode: WRITE_MODE,
+                    runLogTab,
+                });
+            }
+        },
+        {
+            intervalMs,
+            shouldStop: () => Boolean(context.shutdown?.requested),
+            sleep: context.shutdown?.sleep,
+        }
+    );
+    console.log('\n👋 Watch mode stopped.');
+}
+
+async function main() {
+    console.log('🚀 Starting Card Ladder Automation...');
+
+    const WRITE_MODE = process.env.WRITE_MODE || 'BOTH'; // Options: 'BOTH', 'PSA', 'CL', 'CONFIDENCE'
+    console.log(`📝 Write Mode: ${WRITE_MODE}`);
+
+    // 1. Setup Google Sheets
+    if (!process.env.SHEET_ID) {
+        console.error('❌ Missing environment variables. Please check .env file.');
+        process.exit(1);
+    }
+
+    // Initialize Auth: service account key file, user sign-in (OAuth), or env-embedded key
+    let auth;
+    try {
+        auth = await createGoogleAuth(process.env, SCOPES);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    // Writes whose save fails are queued in PENDING_WRITES_FILE and re-applied with backoff
+    const pendingWritesFile = process.env.PENDING_WRITES_FILE || DEFAULT_PENDING_WRITES_FILE;
+    const pendingWriteAttempts = Number.parseInt(process.env.PENDING_WRITE_ATTEMPTS || '5', 10);
+    const pendingWriteBackoffMs = Number.parseInt(process.env.PENDING_WRITE_BACKOFF_MS || '2000', 10);
+    if (Number.isNaN(pendingWriteAttempts) || pendingWriteAttempts < 1) {
+        console.error('❌ Invalid PENDING_WRITE_ATTEMPTS. Must be a positive number.');
+        process.exit(1);
+    }
+    if (Number.isNaN(pendingWriteBackoffMs) || pendingWriteBackoffMs < 0) {
+        console.error('❌ Invalid PENDING_WRITE_BACKOFF_MS. Must be 0 or greater.');
+        process.exit(1);
+    }
+
+    // --replay (or REPLAY=true): only re-apply writes left over from earlier runs, no lookups
+    if (
+        process.argv.includes('--replay') ||
+        (process.env.REPLAY || 'false').toLowerCase() === 'true'
+    ) {
+        await replayPendingWrites(auth, {
+            pendingWritesFile,
+            attempts: pendingWriteAttempts,
+            backoffMs: pendingWriteBackoffMs,
+        });
+        process.exit(0);
+        return;
+    }
+
+    // SHEET_ID may list several spreadsheets (IDs or URLs, comma-separated)
+    const sheetIds = splitList(process.env.SHEET_ID).map(extractSheetId);
+    if (sheetIds.length === 0 || sheetIds.some((id) => !id)) {
+        console.error('❌ Invalid SHEET_ID or URL. Please check .env file.');
+        process.exit(1);
+    }
+
+    // SHEET_TAB may list several tabs; SHEET_TAB_PATTERN selects tabs by regex
+    const tabPattern = process.env.SHEET_TAB_PATTERN || null;
+    const tabNames = splitList(process.env.SHEET_TAB);
+    if (tabNames.length === 0 && !tabPattern) {
+        tabNames.push('RAW DATA SCRIPTED');
+    }
+    if (tabPattern) {
+        try {
+            new RegExp(tabPattern);
+        } catch (e) {
+            console.error(`❌ Invalid SHEET_TAB_PATTERN: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    const headerRow = Number.parseInt(process.env.HEADER_ROW || '1', 10);
+    if (Number.isNaN(headerRow) || headerRow < 1) {
+        console.error('❌ Invalid HEADER_ROW. Must be a positive number.');
+        process.exit(1);
+    }
+
+    // Configurable headers (see lib/columns.js and COLUMN_CONFIG)
+    let columnAliases;
+    try {
+        columnAliases = loadColumnConfig(process.env.COLUMN_CONFIG);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    // Shade the value cell or the whole row by CL confidence (CONFIDENCE_COLOR=value|row)
+    const confidenceColorTarget = (process.env.CONFIDENCE_COLOR || 'off').toLowerCase();
+    if (!CONFIDENCE_COLOR_TARGETS.includes(confidenceColorTarget)) {
+        console.error(
+            `❌ Invalid CONFIDENCE_COLOR "${process.env.CONFIDENCE_COLOR}". Use ${CONFIDENCE_COLOR_TARGETS.join(', ')}.`
+        );
+        process.exit(1);
+    }
+    let confidenceColors = null;
+    if (confidenceColorTarget !== 'off') {
+        try {
+            confidenceColors = parseConfidenceColors(process.env.CONFIDENCE_COLORS || undefined);
+        } catch (e) {
+            console.error(`❌ CONFIDENCE_COLORS: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    // Mismatch handling: ignore small differences, flag or overwrite large ones
+    let mismatchPolicy;
+    try {
+        mismatchPolicy = createMismatchPolicy({
+            tolerance: process.env.MISMATCH_TOLERANCE,
+            threshold: process.env.MISMATCH_THRESHOLD,
+            action: process.env.MISMATCH_ACTION,
+        });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+
+    // Run summary is appended to a "Run Log" tab in each spreadsheet (RUN_LOG=false to disable)
+    const runLogTab = process.env.RUN_LOG_TAB || DEFAULT_RUN_LOG_TAB;
+    const runLogEnabled = (process.env.RUN_LOG || 'true').toLowerCase() !== 'false';
+
+    // Optional per-cert price snapshots in a "Value History" tab
+    const valueHistoryTab =
+        (process.env.VALUE_HISTORY || 'false').toLowerCase() === 'true'
+            ? process.env.VALUE_HISTORY_TAB || DEFAULT_VALUE_HISTORY_TAB
+            : null;
+
+    // Optional NDJSON file with one line per processed row (RESULTS_FILE)
+    const resultsExport = openResultsExport(process.env.RESULTS_FILE);
+
+    // Runs claim their tabs and rows in a hidden "Run Lock" tab (RUN_LOCK=false to disable)
+    const runLockTab = process.env.RUN_LOCK_TAB || DEFAULT_RUN_LOCK_TAB;
+    const runLockEnabled = (process.env.RUN_LOCK || 'true').toLowerCase() !== 'false';
+    const runLockTtlMinutes = Number.parseInt(
+        process.env.RUN_LOCK_TTL_MINUTES || String(DEFAULT_RUN_LOCK_TTL_MINUTES),
+        10
+    );
+    if (Number.isNaN(runLockTtlMinutes) || runLockTtlMinutes < 1) {
+        console.error('❌ Invalid RUN_LOCK_TTL_MINUTES. Must be a positive number.');
+        process.exit(1);
+    }
+    const forceRunLock = (process.env.FORCE_RUN_LOCK || 'false').toLowerCase() === 'true';
+
+    const targets = [];
+    for (const sheetId of sheetIds) {
+        const doc = new GoogleSpreadsheet(sheetId, auth);
+
+        try {
+            await doc.loadInfo();
+            console.log(`✅ Loaded Google Sheet: "${doc.title}"`);
+        } catch (e) {
+            console.error('❌ Failed to load Google Sheet. Check ID and Permissions.');
+            console.error(e);
+            process.exit(1);
+        }
+
+        // Never process our own Run Log / Value History / Run Lock tabs
+        const tabTitles = Object.keys(doc.sheetsByTitle || {}).filter(
+            (title) => title !== runLogTab && title !== valueHistoryTab && title !== runLockTab
+        );
+        const { matched, missing } = selectSheetTabs(tabTitles, {
+            tabs: tabNames,
+            pattern: tabPattern,
+        });
+        if (missing.length > 0) {
+            missing.forEach((tab) =>
+                console.error(`❌ Could not find sheet named "${tab}" in "${doc.title}"`)
+            );
+            process.exit(1);
+        }
+        if (matched.length === 0) {
+            console.warn(`⚠️ No tabs in "${doc.title}" match "${tabPattern}"`);
+        }
+
+        for (const title of matched) {
+            const sheet = doc.sheetsByTitle[title];
+
+            // 1.1 FIND COLUMNS DYNAMICALLY
+            await sheet.loadHeaderRow(headerRow);
+            console.log(`Headers found in "${title}":`, sheet.headerValues);
+            const columns = resolveColumns(sheet.headerValues, columnAliases);
+            const missingColumns = findMissingColumns(
+                columns,
+                getRequiredFields(WRITE_MODE),
+                columnAliases
+            );
+            if (missingColumns.length > 0) {
+                missingColumns.forEach((message) =>
+                    console.error(`❌ ${message} in sheet "${title}"`)
                 );
+                process.exit(1);
+            }
+
+            // Optional ROW_FILTER, e.g. OWNERSHIP = "Consignment" AND CL Confidence Level < 3
+            let rowFilter = null;
+            try {
+                rowFilter = compileRowFilter(process.env.ROW_FILTER, sheet.headerValues);
+            } catch (e) {
+                console.error(`❌ ${e.message} in sheet "${title}"`);
+                process.exit(1);
             }
+
+            targets.push({ sheetId, doc, docTitle: doc.title, sheet, columns, rowFilter });
         }
     }
 
+    if (targets.length === 0) {
+        console.error('❌ No sheets to process. Check SHEET_TAB / SHEET_TAB_PATTERN.');
+        process.exit(1);
+    }
+    targets.forEach(({ docTitle, sheet }) =>
+        console.log(`📄 Using sheet: "${sheet.title}" (${docTitle})`)
+    );
+
+    // Options: 'RAW' (default) or 'HIGHER'
+    const CL_VALUE_CHOICE = process.env.CL_VALUE_CHOICE || 'RAW';
+    console.log(`⚖️  Value Choice: ${CL_VALUE_CHOICE}`);
+
+    const saveChunkSize = Number.parseInt(process.env.SAVE_CHUNK_SIZE || '25', 10);
+    const saveChunkDelayMs = Number.parseInt(process.env.SAVE_CHUNK_DELAY_MS || '1000', 10);
+    const readChunkSize = Number.parseInt(process.env.READ_CHUNK_SIZE || '500', 10);
+    const readDelayMs = Number.parseInt(process.env.READ_DELAY_MS || '200', 10);
+    const readBackoffMs = Number.parseInt(process.env.READ_BACKOFF_MS || '5000', 10);
+    if (Number.isNaN(saveChunkSize) || saveChunkSize < 1) {
+        console.error('❌ Invalid SAVE_CHUNK_SIZE. Must be a positive number.');
+        process.exit(1);
+    }
+    if (Number.isNaN(saveChunkDelayMs) || saveChunkDelayMs < 0) {
+        console.error('❌ Invalid SAVE_CHUNK_DELAY_MS. Must be 0 or greater.');
+        process.exit(1);
+    }
+    if (Number.isNaN(readChunkSize) || readChunkSize < 1) {
+        console.error('❌ Invalid READ_CHUNK_SIZE. Must be a positive number.');
+        process.exit(1);
+    }
+    if (Number.isNaN(readDelayMs) || readDelayMs < 0) {
+        console.error('❌ Invalid READ_DELAY_MS. Must be 0 or greater.');
+        process.exit(1);
+    }
+    if (Number.isNaN(readBackoffMs) || readBackoffMs < 0) {
+        console.error('❌ Invalid READ_BACKOFF_MS. Must be 0 or greater.');
+        process.exit(1);
+    }
+    console.log(`📦 Save Chunk Size: ${saveChunkSize} | Delay: ${saveChunkDelayMs}ms`);
+    console.log(
+        `📖 Read Chunk Size: ${readChunkSize} | Delay: ${readDelayMs}ms | 429 Backoff: ${readBackoffMs}ms`
+    );
+
+    // Progress is checkpointed after every successful save; --resume (or RESUME=true) continues from it
+    const resume =
+        process.argv.includes('--resume') ||
+        (process.env.RESUME || 'false').toLowerCase() === 'true';
+    const checkpointFile = process.env.CHECKPOINT_FILE || DEFAULT_CHECKPOINT_FILE;
+    if (resume) {
+        console.log(`⏯️ Resume enabled (checkpoint: ${checkpointFile})`);
+    }
+
+    // Dry run: process rows as usual but only report the writes (--dry-run or DRY_RUN=true)
+    const dryRun =
+        process.argv.includes('--dry-run') ||
+        (process.env.DRY_RUN || 'false').toLowerCase() === 'true';
+    const dryRunFile = process.env.DRY_RUN_FILE || DEFAULT_DRY_RUN_FILE;
+    if (dryRun) {
+        console.log(`🧪 Dry run: the sheet will not be modified. Report: ${dryRunFile}`);
+    }
+
+    // Watch mode: after the run, keep polling for new certs (--watch or WATCH=true)
+    const watch =
+        process.argv.includes('--watch') ||
+        (process.env.WATCH || 'false').toLowerCase() === 'true';
+    const watchIntervalMs = Number.parseInt(
+        process.env.WATCH_INTERVAL_MS || String(DEFAULT_WATCH_INTERVAL_MS),
+        10
+    );
+    if (watch) {
+        if (Number.isNaN(watchIntervalMs) || watchIntervalMs < 1000) {
+            console.error('❌ Invalid WATCH_INTERVAL_MS. Must be at least 1000.');
+            process.exit(1);
+        }
+        if (dryRun) {
+            console.error('❌ Watch mode cannot be combined with a dry run.');
+            process.exit(1);
+        }
+    }
+
+    // Each written cell gets a note with its source, time and raw value (PROVENANCE_NOTES=false to disable)
+    const provenanceNotes = (process.env.PROVENANCE_NOTES || 'true').toLowerCase() !== 'false';
+
+    // Refuse to start while another run holds an overlapping range (dry runs write nothing)
+    const runLocks = [];
+    if (runLockEnabled && !dryRun) {
+        const lockRange = {
+            start: Number.parseInt(process.env.START_ROW, 10) || 2,
+            end: Number.parseInt(process.env.END_ROW, 10) || null,
+        };
+        for (const doc of new Set(targets.map((target) => target.doc))) {
+            const ranges = targets
+                .filter((target) => target.doc === doc)
+                .map((target) => ({ tab: target.sheet.title, ...lockRange }));
+            let result;
+            try {
+                result = await acquireRunLock(doc, ranges, {
+                    tabTitle: runLockTab,
+                    ttlMs: runLockTtlMinutes * 60 * 1000,
+                    force: forceRunLock,
+                });
+            } catch (e) {
+                console.error(`❌ Could not check the run lock in "${doc.title}": ${e.message}`);
+                result = { lock: null, conflicts: [] };
+            }
+            if (!result.lock) {
+                if (result.conflicts.length > 0) {
+                    console.error(
+                        `❌ Another run is using these rows in "${doc.title}". Use --force-run-lock to take over.`
+                    );
+                    console.table(result.conflicts);
+                }
+                await Promise.all(runLocks.map((lock) => lock.release().catch(() => {})));
+                process.exit(1);
+                return;
+            }
+            runLocks.push(result.lock);
+        }
+        console.log(`🔒 Run lock held in ${runLocks.length} spreadsheet(s)`);
+    }
+    // Keep the locks alive for long runs and watch mode
+    const runLockHeartbeat = setInterval(() => {
+        runLocks.forEach((lock) =>
+            lock.refresh().catch((e) => console.warn('⚠️ Could not refresh the run lock:', e.message))
+        );
+    }, (runLockTtlMinutes * 60 * 1000) / 3);
+    runLockHeartbeat.unref();
+
+    // 2. Launch Browser
+    console.log('🌍 Launching Browser...');
+    const browser = await puppeteer.launch({
+        headless: false, // Must be false for manual login
+        defaultViewport: null,
+        userDataDir: './user_data', // SAVE SESSION DATA
+        args: ['--start-maximized'],
+    });
+
+    const page = await browser.newPage();
+
+    // 3. Login Check with Persistence
+    const AuthService = require('./lib/services/auth_service');
+    const authService = new AuthService(process.env.CL_USER, process.env.CL_PASS);
+
+    const loggedIn = await authService.login(page);
+
+    if (!loggedIn) {
+        console.log('Please log in to Card Ladder in the opened browser window.');
+        console.log(
+            'Once you are logged in and ready, press ENTER in this terminal to continue...'
+        );
+        await askQuestion('');
+    }
+    console.log('👍 Continuing with scraping...');
+
+    // Initialize PSA Service
+    const PsaService = require('./lib/services/psa_service');
+    const psaService = new PsaService(process.env.PSA_API_KEY, browser);
+
+    // Each cert is looked up once per run, across all tabs; repeats reuse the result
+    const lookupCache = createLookupCache(psaService, getCLValue);
+
+    // Ctrl+C / SIGTERM stop after the current row, then save and report as usual
+    const shutdown = createShutdown();
+
+    // 4. Process each sheet with the same browser session.
+    // CL page state carries over between tabs, so the stale-check state does too.
+    const context = {
+        page,
+        psaService: lookupCache.psaService,
+        getCLValue: lookupCache.getCLValue,
+        state: {
+            lastScrapedValue: null, // Store RAW unrounded value for stale checks
+            lastPsaDetails: null, // Store { name, number, grade } to detect identical cards
+        },
+        settings: {
+            WRITE_MODE,
+            CL_VALUE_CHOICE,
+            saveChunkSize,
+            saveChunkDelayMs,
+            readChunkSize,
+            readDelayMs,
+            readBackoffMs,
+            resume,
+            checkpointFile,
+            dryRun,
+            provenanceNotes,
+            valueHistoryTab,
+            confidenceColorTarget,
+            confidenceColors,
+            pendingWritesFile,
+            pendingWriteAttempts,
+            pendingWriteBackoffMs,
+            mismatchPolicy,
+        },
+        startedAt: new Date(),
+        shutdown,
+        resultsExport,
+    };
+
+    const summaries = [];
+    const processedTargets = [];
+    for (const target of targets) {
+        if (shutdown.requested) break;
+        processedTargets.push(target);
+        console.log(`\n📄 Processing sheet: "${target.sheet.title}" (${target.docTitle})`);
+        summaries.push(await processSheet(target, context));
+    }
+
     // 5. Summary
-    console.log('\n\n🏁 Processing Complete!');
-    if (mismatches.length > 0) {
-        console.warn('\n⚠️ Found Mismatches:');
-        console.table(mismatches);
+    if (shutdown.requested) {
+        console.log('\n\n🛑 Run stopped early. Saved rows are checkpointed; continue with --resume.');
     } else {
-        console.log('No mismatches found.');
+        console.log('\n\n🏁 Processing Complete!');
+    }
+    printSummaries(summaries);
+
+    // Data-quality warning: the same cert on several rows (looked up only once)
+    const duplicateCerts = findDuplicateCerts(
+        summaries.flatMap((summary) =>
+            summary.certRows.map((certRow) => ({ ...certRow, tab: summary.tab }))
+        )
+    );
+    if (duplicateCerts.length > 0) {
+        console.warn(
+            `\n⚠️ Duplicate certs (${lookupCache.hits} repeated lookups reused the first result):`
+        );
+        console.table(duplicateCerts);
+    }
+
+    if (dryRun) {
+        const diffRows = summaries.flatMap((summary) => summary.diffRows);
+        console.log(`\n🧪 Dry run: ${diffRows.length} proposed cell changes (nothing was written).`);
+        if (diffRows.length > 0) {
+            console.table(diffRows);
+        }
+        writeDiffReport(dryRunFile, diffRows);
+        console.log(`📝 Dry run report written to ${dryRunFile}`);
+    }
+
+    if (resultsExport) {
+        console.log(`🧾 Wrote ${resultsExport.count} row results to ${resultsExport.filePath}`);
+    }
+
+    if (runLogEnabled && !dryRun) {
+        await appendRunLogs(processedTargets, summaries, {
+            startedAt: context.startedAt,
+            writeMode: WRITE_MODE,
+            runLogTab,
+        });
+    }
+
+    // 6. Watch mode: keep the browser open and fill rows as certs are added
+    if (watch && !shutdown.requested) {
+        await watchSheets(targets, summaries, context, {
+            intervalMs: watchIntervalMs,
+            runLogTab: runLogEnabled ? runLogTab : null,
+        });
+    }
+
+    clearInterval(runLockHeartbeat);
+    for (const lock of runLocks) {
+        try {
+            await lock.release();
+        } catch (e) {
+            console.warn('⚠️ Could not release the run lock (it expires on its own):', e.message);
+        }
     }
 
     await browser.close();
-    process.exit(0);
+    shutdown.dispose();
+    process.exit(shutdown.requested ? 130 : 0);
 }
 
 if (require.main === module) {
@@ -0,0 +1,186 @@
+const { formatTimestamp } = require('./utility');
+
+const ERROR_COLOR = { red: 1, green: 0.8, blue: 0.8 }; // Light Red
+
+// Red (confidence 1) through green (confidence 5)
+const DEFAULT_CONFIDENCE_COLORS = '1:#f4cccc,2:#fce5cd,3:#fff2cc,4:#d9ead3,5:#b7e1cd';
+
+const CONFIDENCE_COLOR_TARGETS = ['off', 'value', 'row'];
+
+/**
+ * Converts a "#rrggbb" hex color to a Sheets color (0-1 channels).
+ * @param {string} hex
+ * @returns {{red: number, green: number, blue: number}}
+ */
+const parseHexColor = (hex) => {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex).trim());
+    if (!match) throw new Error(`Invalid color "${hex}" (expected #rrggbb)`);
+    const [red, green, blue] = match.slice(1).map((part) => parseInt(part, 16) / 255);
+    return { red, green, blue };
+};
+
+/**
+ * Parses a confidence color scale like "1:#f4cccc,2:#fce5cd".
+ * Levels left out of the scale are not shaded.
+ * @param {string} [spec]
+ * @returns {Object<number, {red: number, green: number, blue: number}>} Confidence level -> color
+ */
+const parseConfidenceColors = (spec = DEFAULT_CONFIDENCE_COLORS) => {
+    const scale = {};
+    for (const entry of String(spec).split(',')) {
+        if (entry.trim() === '') continue;
+        const [level, color] = entry.split(':').map((part) => part && part.trim());
+        const confidence = Number(level);
+        if (!Number.isInteger(confidence) || confidence < 1 || confidence > 5 || !color) {
+            throw new Error(
+                `Invalid confidence color "${entry.trim()}" (expected level:#rrggbb, level 1-5)`
+            );
+        }
+        scale[confidence] = parseHexColor(color);
+    }
+    return scale;
+};
+
+/**
+ * Fallback source for a written field when the result carries no provenance.
+ * Grade comes from the CL API only in CL mode (PSA lookups are skipped there).
+ * @param {string} field - Logical field (see lib/columns.js)
+ * @param {string} writeMode
+ * @returns {'PSA'|'CL'}
+ */
+const getWriteSource = (field, writeMode) => {
+    if (['name', 'number'].includes(field)) return 'PSA';
+    if (field === 'grade') return writeMode === 'CL' ? 'CL' : 'PSA';
+    return 'CL';
+};
+
+/**
+ * Builds the Sheets note recording where a written value came from.
+ * @param {{source: string, raw: *}} write
+ * @param {Date} date
+ * @returns {string}
+ */
+const buildProvenanceNote = ({ source, raw }, date) => {
+    const lines = [`Source: ${source}`, `Updated: ${formatTimestamp(date)}`];
+    if (raw !== undefined) lines.push(`Raw: ${raw === null ? 'none' : raw}`);
+    return lines.join('\n');
+};
+
+// A block written by buildProvenanceNote: Source, Updated and an optional Raw line
+const PROVENANCE_BLOCK = /(?:^|\n+)Source: [^\n]*\nUpdated: [^\n]*(?:\nRaw: [^\n]*)?(?=\n|$)/;
+
+/**
+ * Puts a provenance note into a cell's existing note. Text the note already has is
+ * kept; a block from an earlier write is replaced, and a new block goes at the end.
+ * @param {string|undefined} existing - The cell's current note
+ * @param {string} block - From buildProvenanceNote
+ * @returns {string}
+ */
+const mergeProvenanceNote = (existing, block) => {
+    const text = String(existing ?? '')
+        .replace(PROVENANCE_BLOCK, '')
+        .trim();
+    return text ? `${text}\n\n${block}` : block;
+};
+
+/**
+ * Lists the cell changes requested by a processRow result.
+ * Fields whose column is missing (cell is null) are left out.
+ * @param {Object} result - processRow instructions
+ * @param {Object<string, Object|null>} cells - Logical field -> GoogleSpreadsheetCell
+ * @param {string} writeMode
+ * @param {Object} [options]
+ * @param {Object<number, Object>} [options.confidenceColors] - From parseConfidenceColors
+ * @param {Array<{label: string, cell: Object}>} [options.confidenceCells] - Cells shaded by CL confidence
+ * @returns {Array<{field: string, cell: Object, property: string, value: *, source: string, raw: *}>}
+ */
+const planCellWrites = (
+    result,
+    cells,
+    writeMode,
+    { confidenceColors, confidenceCells = [] } = {}
+) => {
+    const writes = [];
+    const add = (field, property, value) => {
+        if (!cells[field]) return;
+        const provenance = (result.provenance || {})[field] || {};
+        writes.push({
+            field,
+            cell: cells[field],
+            property,
+            value,
+            source: provenance.source || getWriteSource(field, writeMode),
+            raw: provenance.raw,
+        });
+    };
+
+    if (result.writeName) add('name', 'value', result.writeName);
+    if (result.writeNumber) add('number', 'value', result.writeNumber);
+    if (result.writeGrade) add('grade', 'value', result.writeGrade);
+    if (result.writeValue) add('value', 'value', result.writeValue);
+    if (result.writeConfidence !== undefined && result.writeConfidence > 0) {
+        add('confidence', 'value', result.writeConfidence);
+    }
+
+    if (result.writePsaErrorColor) {
+        ['name', 'number', 'grade'].forEach((field) => add(field, 'backgroundColor', ERROR_COLOR));
+    }
+    if (result.writeErrorColor) add('value', 'backgroundColor', ERROR_COLOR);
+
+    // Shade by CL confidence, without covering cells already marked red
+    const confidenceColor = result.clResult && confidenceColors?.[result.clResult.confidence];
+    if (confidenceColor) {
+        const colored = new Set(
+            writes
+                .filter((write) => write.property === 'backgroundColor')
+                .map((write) => write.cell)
+        );
+        for (const { label, cell } of confidenceCells) {
+            if (!cell || colored.has(cell)) continue;
+            writes.push({
+                field: label,
+                cell,
+                property: 'backgroundColor',
+                value: confidenceColor,
+                source: result.clResult.source,
+                raw: result.clResult.confidence,
+            });
+        }
+    }
+
+    return writes;
+};
+
+/**
+ * Assigns planned writes to their cells (saved later by sheet.saveUpdatedCells).
+ * Cells that get a new value also get a provenance note unless notes are off; notes
+ * already on the cell are kept (see mergeProvenanceNote).
+ * @param {Array<Object>} writes - From planCellWrites
+ * @param {Object} [options]
+ * @param {boolean} [options.notes=true]
+ * @param {Date} [options.date] - Timestamp for the notes
+ */
+const applyCellWrites = (writes, { notes = true, date = new Date() } = {}) => {
+    for (const write of writes) {
+        write.cell[write.property] = write.value;
+        if (notes && write.property === 'value') {
+            write.cell.note = mergeProvenanceNote(
+                write.cell.note,
+                buildProvenanceNote(write, date)
+            );
+        }
+    }
+};
+
+module.exports = {
+    ERROR_COLOR,
+    DEFAULT_CONFIDENCE_COLORS,
+    CONFIDENCE_COLOR_TARGETS,
+    parseHexColor,
+    parseConfidenceColors,
+    getWriteSource,
+    buildProvenanceNote,
+    mergeProvenanceNote,
+    planCellWrites,
+    applyCellWrites,
+};
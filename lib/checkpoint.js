@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+const DEFAULT_CHECKPOINT_FILE = './.checkpoint.json';
+
+/**
+ * Builds the key a sheet tab's progress is stored under.
+ * @param {string} sheetId - Spreadsheet ID
+ * @param {string} tab - Tab title
+ * @returns {string}
+ */
+const getCheckpointKey = (sheetId, tab) => `${sheetId}::${tab}`;
+
+/**
+ * Builds the configured row range a tab's progress belongs to, with the same
+ * defaults as determineProcessingRange.
+ * @param {string} [startRowSetting] - START_ROW
+ * @param {string} [endRowSetting] - END_ROW
+ * @returns {{startRow: number, endRow: number|null}} endRow null means up to the last row
+ */
+const getCheckpointRange = (startRowSetting, endRowSetting) => {
+    const start = Number.parseInt(startRowSetting, 10);
+    const startRow = start >= 2 ? start : 2;
+    const end = Number.parseInt(endRowSetting, 10);
+    return { startRow, endRow: end >= startRow ? end : null };
+};
+
+const readCheckpointFile = (filePath) => {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (err) {
+        console.warn(`⚠️ Ignoring unreadable checkpoint file "${filePath}": ${err.message}`);
+        return {};
+    }
+};
+
+/**
+ * Reads the saved progress for a sheet tab. With a range, the progress is checked
+ * against it: completed only when the range ends at or before the last saved row
+ * (a range that grew, or runs to the last row, continues after it), and none when
+ * the saved progress started after the range (its earlier rows were never done).
+ * @param {string} filePath
+ * @param {string} key - From getCheckpointKey
+ * @param {{startRow: number, endRow: number|null}} [range] - From getCheckpointRange
+ * @returns {{lastRow: number, completed: boolean, updatedAt: string, range?: Object}|null}
+ */
+const readCheckpoint = (filePath, key, range) => {
+    const entry = readCheckpointFile(filePath)[key];
+    if (!entry || !Number.isInteger(entry.lastRow)) return null;
+    if (!range) return entry;
+
+    // Checkpoints written before ranges were recorded covered the default range
+    const covered = entry.range || { startRow: 2, endRow: null };
+    if (covered.startRow > range.startRow) return null;
+    return { ...entry, completed: range.endRow !== null && entry.lastRow >= range.endRow };
+};
+
+/**
+ * Records the last sheet row whose writes have been saved.
+ * @param {string} filePath
+ * @param {string} key - From getCheckpointKey
+ * @param {number} lastRow - 1-based sheet row number
+ * @param {boolean} [completed=false] - True once the whole range is done
+ * @param {{startRow: number, endRow: number|null}} [range] - Configured range, from getCheckpointRange
+ */
+const writeCheckpoint = (filePath, key, lastRow, completed = false, range) => {
+    const checkpoints = readCheckpointFile(filePath);
+    checkpoints[key] = { lastRow, completed, range, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(filePath, JSON.stringify(checkpoints, null, 4));
+};
+
+module.exports = {
+    DEFAULT_CHECKPOINT_FILE,
+    getCheckpointKey,
+    getCheckpointRange,
+    readCheckpoint,
+    writeCheckpoint,
+};
@@ -0,0 +1,574 @@
+const WRITE_MODES = ['BOTH', 'PSA', 'CL', 'CONFIDENCE'];
+
+const COMMANDS = {
+    sheet: {
+        usage: 'sheet [options]',
+        description: 'Fill the configured Google Sheet tabs',
+    },
+    csv: {
+        usage: 'csv <file|directory|"glob"> [more...] [options]',
+        description:
+            'Fill CSV, TSV or Excel files into <input>_filled.csv (or .tsv, .xlsx), one browser session for all',
+    },
+    lookup: {
+        usage: 'lookup <cert> [cert...]',
+        description: 'Print PSA details and the CL value for certs without writing anything',
+    },
+};
+
+const BOTH_FLOWS = ['sheet', 'csv'];
+
+/**
+ * Every CLI flag and the env var it overrides. Flags use the same name in every
+ * command that accepts them; env vars keep working when a flag is not given.
+ */
+const OPTIONS = [
+    // Lookup behaviour (sheet and csv)
+    {
+        flag: 'write-mode',
+        env: 'WRITE_MODE',
+        type: 'enum',
+        values: WRITE_MODES,
+        commands: BOTH_FLOWS,
+        description: 'Which fields to fill',
+    },
+    {
+        flag: 'value-choice',
+        env: 'CL_VALUE_CHOICE',
+        type: 'enum',
+        values: ['RAW', 'HIGHER'],
+        commands: BOTH_FLOWS,
+        description: 'CL value to write',
+    },
+    {
+        flag: 'skip-cl-check',
+        env: 'SKIP_CL_CHECK',
+        type: 'boolean',
+        commands: BOTH_FLOWS,
+        description: 'Skip CL lookups for rows that already have a value',
+    },
+    {
+        flag: 'force-cl-overwrite',
+        env: 'FORCE_CL_OVERWRITE',
+        type: 'boolean',
+        commands: BOTH_FLOWS,
+        description: 'Overwrite existing CL values',
+    },
+    {
+        flag: 'force-confidence-overwrite',
+        env: 'FORCE_CONFIDENCE_OVERWRITE',
+        type: 'boolean',
+        commands: BOTH_FLOWS,
+        description: 'Overwrite existing confidence values',
+    },
+    {
+        flag: 'force-grade-overwrite',
+        env: 'FORCE_GRADE_OVERWRITE',
+        type: 'boolean',
+        commands: BOTH_FLOWS,
+        description: 'Overwrite existing grades (CL mode)',
+    },
+    {
+        flag: 'column-config',
+        env: 'COLUMN_CONFIG',
+        type: 'string',
+        commands: BOTH_FLOWS,
+        description: 'Column mapping JSON file',
+    },
+    {
+        flag: 'row-filter',
+        env: 'ROW_FILTER',
+        type: 'string',
+        commands: BOTH_FLOWS,
+        description: 'Only process rows matching, e.g. \'OWNERSHIP = "Consignment"\'',
+    },
+    {
+        flag: 'mismatch-tolerance',
+        env: 'MISMATCH_TOLERANCE',
+        type: 'amount',
+        commands: BOTH_FLOWS,
+        description: 'Ignore differences up to this (e.g. 2 or 5%)',
+    },
+    {
+        flag: 'mismatch-threshold',
+        env: 'MISMATCH_THRESHOLD',
+        type: 'amount',
+        commands: BOTH_FLOWS,
+        description: 'Differences above this get --mismatch-action',
+    },
+    {
+        flag: 'mismatch-action',
+        env: 'MISMATCH_ACTION',
+        type: 'enum',
+        values: ['flag', 'overwrite'],
+        commands: BOTH_FLOWS,
+        description: 'Flag or overwrite values above the threshold',
+    },
+
+    // Google auth
+    {
+        flag: 'google-key-file',
+        env: 'GOOGLE_SERVICE_ACCOUNT_KEY_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Service account key JSON',
+    },
+    {
+        flag: 'google-oauth-client-file',
+        env: 'GOOGLE_OAUTH_CLIENT_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'OAuth client JSON, to sign in as yourself',
+    },
+    {
+        flag: 'google-oauth-token-file',
+        env: 'GOOGLE_OAUTH_TOKEN_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Cached sign-in token',
+    },
+
+    // Sheet selection and range
+    {
+        flag: 'sheet-id',
+        env: 'SHEET_ID',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Spreadsheet IDs or URLs (comma-separated)',
+    },
+    {
+        flag: 'tab',
+        env: 'SHEET_TAB',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Tab names (comma-separated)',
+    },
+    {
+        flag: 'tab-pattern',
+        env: 'SHEET_TAB_PATTERN',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Regex selecting tabs by title',
+    },
+    {
+        flag: 'header-row',
+        env: 'HEADER_ROW',
+        type: 'integer',
+        min: 1,
+        commands: ['sheet'],
+        description: 'Row holding the headers',
+    },
+    {
+        flag: 'start-row',
+        env: 'START_ROW',
+        type: 'integer',
+        min: 2,
+        commands: ['sheet'],
+        description: 'First row to process',
+    },
+    {
+        flag: 'end-row',
+        env: 'END_ROW',
+        type: 'integer',
+        min: 2,
+        commands: ['sheet'],
+        description: 'Last row to process',
+    },
+
+    // Sheets reads and saves
+    {
+        flag: 'save-chunk-size',
+        env: 'SAVE_CHUNK_SIZE',
+        type: 'integer',
+        min: 1,
+        commands: ['sheet'],
+        description: 'Modified rows per save',
+    },
+    {
+        flag: 'save-chunk-delay-ms',
+        env: 'SAVE_CHUNK_DELAY_MS',
+        type: 'integer',
+        min: 0,
+        commands: ['sheet'],
+        description: 'Pause after each save',
+    },
+    {
+        flag: 'read-chunk-size',
+        env: 'READ_CHUNK_SIZE',
+        type: 'integer',
+        min: 1,
+        commands: ['sheet'],
+        description: 'Rows per read',
+    },
+    {
+        flag: 'read-delay-ms',
+        env: 'READ_DELAY_MS',
+        type: 'integer',
+        min: 0,
+        commands: ['sheet'],
+        description: 'Pause before each read',
+    },
+    {
+        flag: 'read-backoff-ms',
+        env: 'READ_BACKOFF_MS',
+        type: 'integer',
+        min: 0,
+        commands: ['sheet'],
+        description: 'Wait after a 429 on reads',
+    },
+    {
+        flag: 'pending-writes-file',
+        env: 'PENDING_WRITES_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Queue for unconfirmed saves',
+    },
+    {
+        flag: 'pending-write-attempts',
+        env: 'PENDING_WRITE_ATTEMPTS',
+        type: 'integer',
+        min: 1,
+        commands: ['sheet'],
+        description: 'Re-reads of unconfirmed saves',
+    },
+    {
+        flag: 'pending-write-backoff-ms',
+        env: 'PENDING_WRITE_BACKOFF_MS',
+        type: 'integer',
+        min: 0,
+        commands: ['sheet'],
+        description: 'First wait between re-applies',
+    },
+    {
+        flag: 'replay',
+        env: 'REPLAY',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Only replay queued writes',
+    },
+
+    // Run modes and reporting
+    {
+        flag: 'resume',
+        env: 'RESUME',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Continue from the checkpoint',
+    },
+    {
+        flag: 'retry-no-comps',
+        env: 'RETRY_NO_COMPS',
+        type: 'boolean',
+        commands: ['csv'],
+        description: 'Look up "No comps" and empty rows of the last output again',
+    },
+    {
+        flag: 'output-file',
+        env: 'OUTPUT_FILE',
+        type: 'string',
+        commands: ['csv'],
+        description: 'Where to write the filled file (default: <input>_filled.<ext>)',
+    },
+    {
+        flag: 'csv-delimiter',
+        env: 'CSV_DELIMITER',
+        type: 'enum',
+        values: ['comma', 'semicolon', 'tab', 'pipe'],
+        commands: ['csv'],
+        description: 'Field delimiter of the input (default: detected)',
+    },
+    {
+        flag: 'csv-encoding',
+        env: 'CSV_ENCODING',
+        type: 'enum',
+        values: ['utf8', 'utf16le', 'utf16be', 'latin1'],
+        commands: ['csv'],
+        description: 'Text encoding of the input (default: detected)',
+    },
+    {
+        flag: 'status-columns',
+        env: 'STATUS_COLUMNS',
+        type: 'boolean',
+        commands: ['csv'],
+        description: 'Add Lookup Status, Value Source and Error columns',
+    },
+    {
+        flag: 'watch',
+        env: 'WATCH',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Keep polling for new certs after the run',
+    },
+    {
+        flag: 'watch-interval-ms',
+        env: 'WATCH_INTERVAL_MS',
+        type: 'integer',
+        min: 1000,
+        commands: ['sheet'],
+        description: 'Pause between watch polls',
+    },
+    {
+        flag: 'checkpoint-file',
+        env: 'CHECKPOINT_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Checkpoint file',
+    },
+    {
+        flag: 'dry-run',
+        env: 'DRY_RUN',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Report changes without writing',
+    },
+    {
+        flag: 'dry-run-file',
+        env: 'DRY_RUN_FILE',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Dry run report (.json or .csv)',
+    },
+    {
+        flag: 'results-file',
+        env: 'RESULTS_FILE',
+        type: 'string',
+        commands: BOTH_FLOWS,
+        description: 'Append one JSON line per processed row',
+    },
+    {
+        flag: 'run-log',
+        env: 'RUN_LOG',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Append a summary to the Run Log tab',
+    },
+    {
+        flag: 'run-log-tab',
+        env: 'RUN_LOG_TAB',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Run Log tab name',
+    },
+    {
+        flag: 'run-lock',
+        env: 'RUN_LOCK',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Refuse to run on rows another run holds',
+    },
+    {
+        flag: 'force-run-lock',
+        env: 'FORCE_RUN_LOCK',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Take over overlapping run locks',
+    },
+    {
+        flag: 'run-lock-tab',
+        env: 'RUN_LOCK_TAB',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Hidden lock tab name',
+    },
+    {
+        flag: 'run-lock-ttl-minutes',
+        env: 'RUN_LOCK_TTL_MINUTES',
+        type: 'integer',
+        min: 1,
+        commands: ['sheet'],
+        description: 'Minutes before an unrefreshed lock expires',
+    },
+    {
+        flag: 'value-history',
+        env: 'VALUE_HISTORY',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Append CL values to the Value History tab',
+    },
+    {
+        flag: 'value-history-tab',
+        env: 'VALUE_HISTORY_TAB',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Value History tab name',
+    },
+    {
+        flag: 'provenance-notes',
+        env: 'PROVENANCE_NOTES',
+        type: 'boolean',
+        commands: ['sheet'],
+        description: 'Add source notes to written cells',
+    },
+    {
+        flag: 'confidence-color',
+        env: 'CONFIDENCE_COLOR',
+        type: 'enum',
+        values: ['off', 'value', 'row'],
+        commands: ['sheet'],
+        description: 'Shade by CL confidence',
+    },
+    {
+        flag: 'confidence-colors',
+        env: 'CONFIDENCE_COLORS',
+        type: 'string',
+        commands: ['sheet'],
+        description: 'Confidence scale, e.g. 1:#f4cccc,2:#fce5cd',
+    },
+];
+
+/**
+ * Checks one option value.
+ * @param {Object} option - Entry of OPTIONS
+ * @param {string} value
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOption = (option, value) => {
+    const label = `--${option.flag} (${option.env})`;
+    switch (option.type) {
+        case 'boolean':
+            return ['true', 'false'].includes(String(value).toLowerCase())
+                ? null
+                : `${label} must be true or false, got "${value}"`;
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < option.min) {
+                return `${label} must be a whole number of at least ${option.min}, got "${value}"`;
+            }
+            return null;
+        }
+        case 'enum':
+            return option.values.some(
+                (allowed) => allowed.toLowerCase() === String(value).toLowerCase()
+            )
+                ? null
+                : `${label} must be one of ${option.values.join(', ')}, got "${value}"`;
+        case 'amount':
+            return /^\d+(\.\d+)?\s*%?$/.test(String(value).trim())
+                ? null
+                : `${label} must be an amount like 2 or a percentage like 5%, got "${value}"`;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Returns the value in the form the scripts expect (enum values in their listed case).
+ * @param {Object} option - Entry of OPTIONS
+ * @param {string} value - Already validated
+ * @returns {string}
+ */
+const normalizeOption = (option, value) => {
+    if (option.type === 'boolean') return String(value).toLowerCase();
+    if (option.type === 'enum') {
+        return option.values.find(
+            (allowed) => allowed.toLowerCase() === String(value).toLowerCase()
+        );
+    }
+    return value;
+};
+
+/**
+ * Parses `<command> [positionals] [--flag value | --flag=value | --flag | --no-flag]`.
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{command: string|null, positionals: string[], env: Object<string, string>, help: boolean}}
+ *   env maps env var names to the values given on the command line
+ * @throws {Error} On unknown commands or flags, missing values and invalid values
+ */
+const parseCliArgs = (args) => {
+    const result = { command: null, positionals: [], env: {}, help: false };
+    const rest = [...args];
+
+    if (rest.length > 0 && !rest[0].startsWith('-')) {
+        result.command = rest.shift();
+        if (!COMMANDS[result.command]) throw new Error(`Unknown command "${result.command}"`);
+    }
+
+    while (rest.length > 0) {
+        const arg = rest.shift();
+        if (arg === '--help' || arg === '-h') {
+            result.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            result.positionals.push(arg);
+            continue;
+        }
+
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        let negated = false;
+        if (name.startsWith('no-') && !OPTIONS.some((option) => option.flag === name)) {
+            name = name.slice(3);
+            negated = true;
+        }
+
+        const option = OPTIONS.find((candidate) => candidate.flag === name);
+        if (!option || (result.command && !option.commands.includes(result.command))) {
+            throw new Error(
+                `Unknown option --${name}${result.command ? ` for "${result.command}"` : ''}`
+            );
+        }
+
+        if (option.type === 'boolean') {
+            if (negated && value !== undefined)
+                throw new Error(`--no-${name} does not take a value`);
+            value = negated ? 'false' : (value ?? 'true');
+        } else {
+            if (negated) throw new Error(`Unknown option --no-${name}`);
+            if (value === undefined) {
+                if (rest.length === 0 || rest[0].startsWith('--')) {
+                    throw new Error(`--${name} needs a value`);
+                }
+                value = rest.shift();
+            }
+        }
+
+        const error = validateOption(option, value);
+        if (error) throw new Error(error);
+        result.env[option.env] = normalizeOption(option, value);
+    }
+
+    return result;
+};
+
+const pad = (text, width) => text + ' '.repeat(Math.max(1, width - text.length));
+
+const describeValue = (option) => {
+    if (option.type === 'boolean') return '';
+    if (option.type === 'enum') return ` <${option.values.join('|')}>`;
+    if (option.type === 'integer') return ' <n>';
+    if (option.type === 'amount') return ' <n|n%>';
+    return ' <value>';
+};
+
+/**
+ * Builds the --help text, for every command or for one.
+ * @param {string|null} [command]
+ * @returns {string}
+ */
+const formatHelp = (command = null) => {
+    const lines = [];
+    if (!command) {
+        lines.push('Usage: node cli.js <command> [options]', '', 'Commands:');
+        for (const { usage, description } of Object.values(COMMANDS)) {
+            lines.push(`  ${pad(usage, 34)}${description}`);
+        }
+        lines.push('', 'Run "node cli.js <command> --help" for the options of a command.');
+        return lines.join('\n');
+    }
+
+    const { usage, description } = COMMANDS[command];
+    lines.push(`Usage: node cli.js ${usage}`, '', description, '');
+
+    const options = OPTIONS.filter((option) => option.commands.includes(command));
+    if (options.length > 0) {
+        lines.push('Options (override the env var in brackets; booleans also accept --no-<flag>):');
+        for (const option of options) {
+            const flag = `--${option.flag}${describeValue(option)}`;
+            lines.push(`  ${pad(flag, 44)}${option.description} [${option.env}]`);
+        }
+    }
+    lines.push(`  ${pad('--help', 44)}Show this help`);
+    return lines.join('\n');
+};
+
+module.exports = { COMMANDS, OPTIONS, validateOption, normalizeOption, parseCliArgs, formatHelp };
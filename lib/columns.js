@@ -0,0 +1,119 @@
+const fs = require('fs');
+
+/**
+ * Header titles accepted for each logical field, in order of preference.
+ * The first alias is the canonical title used in messages and new headers.
+ */
+const DEFAULT_COLUMN_ALIASES = {
+    cert: ['Certification Number', 'Cert #', 'Cert Number', 'Cert'],
+    value: ['CL Market Value', 'Market Value', 'CL Value'],
+    name: ['Card Name', 'Name'],
+    number: ['Card Number', 'Card #'],
+    grade: ['Grade', 'PSA Grade'],
+    confidence: ['CL Confidence Level', 'CL Confidence', 'Confidence'],
+};
+
+const DEFAULT_COLUMN_CONFIG_PATH = './columns.json';
+
+const normalizeHeader = (header) =>
+    String(header || '')
+        .trim()
+        .toLowerCase();
+
+/**
+ * Loads the column mapping, merging user aliases in front of the defaults.
+ * The config file is JSON mapping a field to a header title or a list of titles,
+ * e.g. { "cert": ["Cert #"], "value": "Market Value" }.
+ * @param {string|undefined} configPath - Path to the JSON config (process.env.COLUMN_CONFIG)
+ * @returns {Object<string, string[]>} Field -> aliases
+ */
+const loadColumnConfig = (configPath) => {
+    const aliases = {};
+    for (const [field, titles] of Object.entries(DEFAULT_COLUMN_ALIASES)) {
+        aliases[field] = [...titles];
+    }
+
+    const path = configPath || DEFAULT_COLUMN_CONFIG_PATH;
+    if (!configPath && !fs.existsSync(path)) {
+        return aliases;
+    }
+
+    let userConfig;
+    try {
+        userConfig = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read column config "${path}": ${err.message}`);
+    }
+
+    for (const [field, titles] of Object.entries(userConfig || {})) {
+        if (!aliases[field]) {
+            throw new Error(
+                `Unknown field "${field}" in column config. Expected one of: ${Object.keys(DEFAULT_COLUMN_ALIASES).join(', ')}`
+            );
+        }
+        const userTitles = (Array.isArray(titles) ? titles : [titles]).map(String);
+        aliases[field] = [...userTitles, ...aliases[field].filter((t) => !userTitles.includes(t))];
+    }
+
+    return aliases;
+};
+
+/**
+ * Finds the column for each logical field in a header row.
+ * Matching ignores case and surrounding whitespace.
+ * @param {string[]} headers
+ * @param {Object<string, string[]>} [aliases]
+ * @returns {Object<string, {index: number, header: string|null}>}
+ */
+const resolveColumns = (headers, aliases = DEFAULT_COLUMN_ALIASES) => {
+    const normalized = (headers || []).map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, titles] of Object.entries(aliases)) {
+        let index = -1;
+        for (const title of titles) {
+            index = normalized.indexOf(normalizeHeader(title));
+            if (index !== -1) break;
+        }
+        columns[field] = { index, header: index !== -1 ? headers[index] : null };
+    }
+
+    return columns;
+};
+
+/**
+ * Lists the fields a write mode cannot run without.
+ * @param {string} writeMode - 'BOTH', 'PSA', 'CL' or 'CONFIDENCE'
+ * @returns {string[]}
+ */
+const getRequiredFields = (writeMode) => {
+    const fields = ['cert'];
+    if (['BOTH', 'CL'].includes(writeMode)) fields.push('value');
+    if (['BOTH', 'CL', 'CONFIDENCE'].includes(writeMode)) fields.push('confidence');
+    return fields;
+};
+
+/**
+ * Builds an error message for each required field that has no column.
+ * @param {Object<string, {index: number}>} columns - Result of resolveColumns
+ * @param {string[]} fields
+ * @param {Object<string, string[]>} [aliases]
+ * @returns {string[]}
+ */
+const findMissingColumns = (columns, fields, aliases = DEFAULT_COLUMN_ALIASES) =>
+    fields
+        .filter((field) => !columns[field] || columns[field].index === -1)
+        .map(
+            (field) =>
+                `Missing column for field "${field}" (looked for: ${(aliases[field] || [])
+                    .map((t) => `"${t}"`)
+                    .join(', ')})`
+        );
+
+module.exports = {
+    DEFAULT_COLUMN_ALIASES,
+    loadColumnConfig,
+    resolveColumns,
+    getRequiredFields,
+    findMissingColumns,
+};
@@ -0,0 +1,385 @@
+const fs = require('fs');
+const { escapeCsvValue } = require('./utility');
+
+const BOM = '\uFEFF';
+
+// Delimiter names accepted by CSV_DELIMITER, in the order sniffing prefers them
+const DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+
+const ENCODINGS = ['utf8', 'utf16le', 'utf16be', 'latin1'];
+
+// Bytes read up front to detect the encoding and delimiter
+const SAMPLE_BYTES = 64 * 1024;
+
+/**
+ * Incremental RFC 4180 parser. Feed it text in chunks of any size; quoted fields
+ * may contain delimiters, doubled quotes ("") and line breaks. A leading BOM is
+ * dropped, and the first record terminator (CRLF, LF or CR) is remembered so
+ * output can use the same one.
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=',']
+ * @returns {{push: Function, end: Function, lineEnding: string|null, bom: boolean, delimiter: string}}
+ *   push(text) and end() return the records completed so far, as arrays of strings
+ */
+function createCsvParser({ delimiter = ',' } = {}) {
+    let record = [];
+    let field = '';
+    let quoted = false; // Current field started with a quote
+    let inQuotes = false;
+    let quoteInQuotes = false; // Saw a quote inside quotes: closing, or the first of ""
+    let pendingCR = false;
+    let started = false;
+    let bom = false;
+    let lineEnding = null;
+    let records = [];
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+        quoted = false;
+    };
+
+    const endRecord = (terminator) => {
+        endField();
+        records.push(record);
+        record = [];
+        if (!lineEnding) lineEnding = terminator;
+    };
+
+    const consume = (char) => {
+        if (pendingCR) {
+            pendingCR = false;
+            if (char === '\n') {
+                endRecord('\r\n');
+                return;
+            }
+            endRecord('\r');
+        }
+
+        if (quoteInQuotes) {
+            quoteInQuotes = false;
+            if (char === '"') {
+                field += '"';
+                return;
+            }
+            inQuotes = false;
+        } else if (inQuotes) {
+            if (char === '"') {
+                quoteInQuotes = true;
+            } else {
+                field += char;
+            }
+            return;
+        }
+
+        if (char === delimiter) {
+            endField();
+        } else if (char === '\r') {
+            pendingCR = true;
+        } else if (char === '\n') {
+            endRecord('\n');
+        } else if (char === '"' && field === '' && !quoted) {
+            quoted = true;
+            inQuotes = true;
+        } else {
+            // Stray quotes inside unquoted fields are kept as text
+            field += char;
+        }
+    };
+
+    const take = () => {
+        const done = records;
+        records = [];
+        return done;
+    };
+
+    return {
+        push(text) {
+            let chunk = text;
+            if (!started && chunk.length > 0) {
+                started = true;
+                if (chunk.startsWith(BOM)) {
+                    bom = true;
+                    chunk = chunk.slice(1);
+                }
+            }
+            for (const char of chunk) consume(char);
+            return take();
+        },
+
+        end() {
+            if (pendingCR) {
+                pendingCR = false;
+                endRecord('\r');
+            }
+            // A final line without a terminator
+            if (field !== '' || quoted || record.length > 0) {
+                endField();
+                records.push(record);
+                record = [];
+            }
+            return take();
+        },
+
+        get lineEnding() {
+            return lineEnding;
+        },
+
+        get bom() {
+            return bom;
+        },
+
+        delimiter,
+    };
+}
+
+/**
+ * Parses a whole CSV text.
+ * @param {string} text
+ * @param {Object} [options] - See createCsvParser
+ * @returns {string[][]}
+ */
+const parseCsv = (text, options) => {
+    const parser = createCsvParser(options);
+    return [...parser.push(text), ...parser.end()];
+};
+
+/**
+ * Parses a single CSV record.
+ * @param {string} text
+ * @returns {string[]} An empty line gives ['']
+ */
+const parseCsvLine = (text) => parseCsv(text)[0] || [''];
+
+/**
+ * Detects the text encoding from a byte sample: a UTF-8 or UTF-16 BOM, UTF-16
+ * without a BOM (every other byte zero), valid UTF-8, and Latin-1 otherwise.
+ * @param {Buffer} sample
+ * @returns {'utf8'|'utf16le'|'utf16be'|'latin1'}
+ */
+const detectEncoding = (sample) => {
+    if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) return 'utf8';
+    if (sample[0] === 0xff && sample[1] === 0xfe) return 'utf16le';
+    if (sample[0] === 0xfe && sample[1] === 0xff) return 'utf16be';
+
+    const pairs = Math.floor(sample.length / 2);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < pairs * 2; i += 2) {
+        if (sample[i] === 0) evenZeros += 1;
+        if (sample[i + 1] === 0) oddZeros += 1;
+    }
+    if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) return 'utf16le';
+    if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) return 'utf16be';
+
+    try {
+        // stream: a character cut off at the end of the sample is not an error
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return 'utf8';
+    } catch {
+        return 'latin1';
+    }
+};
+
+/**
+ * Creates a chunk decoder that keeps a BOM in the text (the parser records it).
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {{decode: Function, end: Function}}
+ */
+const createDecoder = (encoding) => {
+    // Single-byte, so chunks can be decoded on their own
+    if (encoding === 'latin1') {
+        return { decode: (chunk) => chunk.toString('latin1'), end: () => '' };
+    }
+    const label = { utf8: 'utf-8', utf16le: 'utf-16le', utf16be: 'utf-16be' }[encoding];
+    const decoder = new TextDecoder(label, { ignoreBOM: true });
+    return {
+        decode: (chunk) => decoder.decode(chunk, { stream: true }),
+        end: () => decoder.decode(),
+    };
+};
+
+/**
+ * Encodes output text in the input's encoding.
+ * @param {string} text
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {Buffer}
+ */
+const encodeText = (text, encoding) => {
+    if (encoding === 'utf16be') return Buffer.from(text, 'utf16le').swap16();
+    return Buffer.from(text, encoding);
+};
+
+/**
+ * Picks the delimiter that splits the most records into the same number of
+ * fields (quoted text is not counted). Falls back when no candidate occurs.
+ * @param {string} sample - Start of the file
+ * @param {string} [fallback=',']
+ * @returns {string}
+ */
+const sniffDelimiter = (sample, fallback = ',') => {
+    const candidates = Object.values(DELIMITERS);
+    const counts = [];
+    let current = candidates.map(() => 0);
+    let inQuotes = false;
+    for (const char of sample) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            if (current.some((count) => count > 0)) counts.push(current);
+            current = candidates.map(() => 0);
+        } else if (!inQuotes) {
+            const index = candidates.indexOf(char);
+            if (index !== -1) current[index] += 1;
+        }
+    }
+    // The last line may be cut off by the sample size, so it is left out
+
+    let best = { delimiter: fallback, records: 0, fields: 0 };
+    candidates.forEach((delimiter, index) => {
+        const tally = new Map();
+        for (const record of counts) {
+            const count = record[index];
+            if (count > 0) tally.set(count, (tally.get(count) || 0) + 1);
+        }
+        for (const [fields, records] of tally) {
+            if (records > best.records || (records === best.records && fields > best.fields)) {
+                best = { delimiter, records, fields };
+            }
+        }
+    });
+    return best.delimiter;
+};
+
+/**
+ * Works out how to read a CSV file: its encoding and delimiter. Settings that are
+ * given win over detection; `.tsv` files default to tabs.
+ * @param {string} filePath
+ * @param {Object} [overrides]
+ * @param {string} [overrides.encoding] - One of ENCODINGS
+ * @param {string} [overrides.delimiter] - A DELIMITERS name (comma, semicolon, tab, pipe)
+ * @returns {{encoding: string, delimiter: string}}
+ * @throws {Error} On an unknown encoding or delimiter name
+ */
+const detectCsvFormat = (filePath, { encoding, delimiter } = {}) => {
+    if (encoding && !ENCODINGS.includes(encoding.toLowerCase())) {
+        throw new Error(`Invalid CSV_ENCODING "${encoding}" (expected ${ENCODINGS.join(', ')})`);
+    }
+    if (delimiter && !(delimiter.toLowerCase() in DELIMITERS)) {
+        throw new Error(
+            `Invalid CSV_DELIMITER "${delimiter}" (expected ${Object.keys(DELIMITERS).join(', ')})`
+        );
+    }
+
+    const fd = fs.openSync(filePath, 'r');
+    const sample = Buffer.alloc(SAMPLE_BYTES);
+    const size = fs.readSync(fd, sample, 0, SAMPLE_BYTES, 0);
+    fs.closeSync(fd);
+
+    const detectedEncoding = encoding
+        ? encoding.toLowerCase()
+        : detectEncoding(sample.subarray(0, size));
+    if (delimiter) {
+        return { encoding: detectedEncoding, delimiter: DELIMITERS[delimiter.toLowerCase()] };
+    }
+    const decoder = createDecoder(detectedEncoding);
+    const text = decoder.decode(sample.subarray(0, size)) + decoder.end();
+    const fallback = /\.tsv$/i.test(filePath) ? '\t' : ',';
+    return { encoding: detectedEncoding, delimiter: sniffDelimiter(text, fallback) };
+};
+
+/**
+ * Reads records from a stream of bytes (e.g. fs.createReadStream(file)) or text.
+ * @param {AsyncIterable<Buffer|string>} stream
+ * @param {Object} [parser] - From createCsvParser, to read its lineEnding and bom afterwards
+ * @param {string} [encoding='utf8'] - How to decode Buffer chunks, one of ENCODINGS
+ * @returns {AsyncGenerator<string[]>}
+ */
+async function* readCsvRecords(stream, parser = createCsvParser(), encoding = 'utf8') {
+    const decoder = createDecoder(encoding);
+    for await (const chunk of stream) {
+        yield* parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk));
+    }
+    yield* parser.push(decoder.end());
+    yield* parser.end();
+}
+
+/**
+ * Reads a whole CSV file in the given format.
+ * @param {string} filePath
+ * @param {{encoding: string, delimiter: string}} format - From detectCsvFormat
+ * @returns {string[][]}
+ */
+const readCsvFile = (filePath, { encoding, delimiter }) => {
+    const decoder = createDecoder(encoding);
+    const text = decoder.decode(fs.readFileSync(filePath)) + decoder.end();
+    return parseCsv(text, { delimiter });
+};
+
+/**
+ * Formats one record, quoting fields that contain the delimiter, quotes or line breaks.
+ * @param {Array<string|number|null|undefined>} values
+ * @param {string} [lineEnding='\n']
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+const formatCsvRecord = (values, lineEnding = '\n', delimiter = ',') =>
+    values
+        .map((value) => {
+            const text = escapeCsvValue(value);
+            // Quoted text already starts with a quote; other delimiters need quoting too
+            if (delimiter === ',' || text.startsWith('"') || !text.includes(delimiter)) {
+                return text;
+            }
+            return `"${text}"`;
+        })
+        .join(delimiter) + lineEnding;
+
+/**
+ * Writes records to a new file with the BOM, line ending and delimiter of the
+ * parsed input.
+ * @param {string} filePath
+ * @param {Object} parser - From createCsvParser; read when the first record is written
+ * @param {string} [encoding='utf8'] - One of ENCODINGS, usually the input's
+ * @returns {{write: Function, close: Function, destroy: Function}} write(values)
+ *   appends a record to the file right away; close() resolves once the file is closed
+ */
+function createCsvWriter(filePath, parser, encoding = 'utf8') {
+    const fd = fs.openSync(filePath, 'w');
+    let started = false;
+    let closed = false;
+    const closeFile = () => {
+        if (!closed) fs.closeSync(fd);
+        closed = true;
+    };
+
+    return {
+        // Written straight to disk, so the file holds every finished row if the process dies
+        write(values) {
+            const prefix = !started && parser.bom ? BOM : '';
+            started = true;
+            const record = formatCsvRecord(values, parser.lineEnding || '\n', parser.delimiter);
+            fs.writeSync(fd, encodeText(prefix + record, encoding));
+        },
+
+        close: async () => closeFile(),
+
+        destroy: closeFile,
+    };
+}
+
+module.exports = {
+    BOM,
+    DELIMITERS,
+    ENCODINGS,
+    createCsvParser,
+    parseCsv,
+    parseCsvLine,
+    detectEncoding,
+    sniffDelimiter,
+    detectCsvFormat,
+    readCsvRecords,
+    readCsvFile,
+    formatCsvRecord,
+    createCsvWriter,
+};
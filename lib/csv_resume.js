@@ -0,0 +1,146 @@
+const fs = require('fs');
+const { detectCsvFormat, readCsvFile } = require('./csv');
+const { resolveColumns } = require('./columns');
+const { isRowIncomplete } = require('./watch');
+const { readXlsx, readErrorColumns } = require('./xlsx');
+
+const NO_COMPS = 'No comps';
+
+// Runs write to <output>.partial and rename it to <output> when they finish
+const PARTIAL_SUFFIX = '.partial';
+
+const sameHeaders = (a, b) =>
+    a.length === b.length && a.every((header, i) => header.trim() === String(b[i]).trim());
+
+// Header row and the rows after it, or null when no row has a cert column
+const splitAtHeader = (records, columnAliases) => {
+    const headerIndex = records.findIndex(
+        (values) => resolveColumns(values, columnAliases).cert.index !== -1
+    );
+    if (headerIndex === -1) return null;
+    return { headerIndex, headers: records[headerIndex], rows: records.slice(headerIndex + 1) };
+};
+
+/**
+ * Reads the rows an earlier run wrote to the output file (.csv or .xlsx). For CSV,
+ * a <output>.partial left by a run that crashed or was killed is read too: its
+ * rows are newer, so they come first and the output supplies the rows after them.
+ * @param {string} filePath
+ * @param {Object} [columnAliases] - From loadColumnConfig
+ * @param {{encoding: string, delimiter: string}} [csvFormat] - The input's format, which
+ *   the output was written in; detected from the file when not given
+ * @returns {Promise<{headers: string[], rows: string[][], errorColumns: Map<string[], number[]>, fromPartial: number}|null>}
+ *   Data rows after the header and, for .xlsx, the columns of each row marked red;
+ *   fromPartial counts the rows taken from the .partial file; null when there is
+ *   no output yet (or it ends before its header)
+ */
+const readPreviousOutput = async (filePath, columnAliases, csvFormat) => {
+    if (/\.xlsx$/i.test(filePath)) {
+        if (!fs.existsSync(filePath)) return null;
+        const xlsx = await readXlsx(filePath, columnAliases);
+        const output = splitAtHeader(xlsx.records, columnAliases);
+        if (!output) return null;
+        return {
+            headers: output.headers,
+            rows: output.rows,
+            errorColumns: readErrorColumns(xlsx.worksheet, output.headerIndex + 2, output.rows),
+            fromPartial: 0,
+        };
+    }
+
+    const readOutput = (file) =>
+        fs.existsSync(file)
+            ? splitAtHeader(readCsvFile(file, csvFormat || detectCsvFormat(file)), columnAliases)
+            : null;
+    const output = readOutput(filePath);
+    const partial = readOutput(`${filePath}${PARTIAL_SUFFIX}`);
+    if (!partial) {
+        return (
+            output && {
+                headers: output.headers,
+                rows: output.rows,
+                errorColumns: new Map(),
+                fromPartial: 0,
+            }
+        );
+    }
+
+    const rows = [...partial.rows];
+    if (output && sameHeaders(output.headers, partial.headers)) {
+        rows.push(...output.rows.slice(partial.rows.length));
+    }
+    return {
+        headers: partial.headers,
+        rows,
+        errorColumns: new Map(),
+        fromPartial: partial.rows.length,
+    };
+};
+
+/**
+ * Pairs input rows with the rows an earlier run wrote, in order. The output holds
+ * one row per input data row, so row N of one is row N of the other; the pairing
+ * stops at the first row whose cert differs (the input was edited since).
+ * @param {{headers: string[], rows: string[][]}|null} previous - From readPreviousOutput
+ * @param {Object} options
+ * @param {string[]} options.headers - Input headers
+ * @param {Object} options.columns - resolveColumns(headers)
+ * @param {string} options.writeMode
+ * @param {boolean} [options.retryNoComps=false] - Process rows again whose earlier
+ *   result was "No comps" or left the WRITE_MODE fields empty
+ * @returns {{next: Function, remaining: Function, reused: number, retried: number}}
+ *   next(values) returns the earlier row to keep, or null to process the input row
+ * @throws {Error} When the output has other headers than the input
+ */
+function createCsvResume(previous, { headers, columns, writeMode, retryNoComps = false }) {
+    if (previous && !sameHeaders(previous.headers, headers)) {
+        throw new Error('The existing output has different headers than the input');
+    }
+
+    const rows = previous ? previous.rows : [];
+    const certOf = (values) => String(values[columns.cert.index] ?? '').trim();
+    const getValue = (values) => (header) => values[headers.indexOf(header)];
+    const needsRetry = (values) =>
+        String(values[columns.value.index] ?? '').trim() === NO_COMPS ||
+        isRowIncomplete(getValue(values), columns, writeMode);
+
+    let position = 0;
+    let paired = true;
+    let reused = 0;
+    let retried = 0;
+
+    return {
+        next(values) {
+            if (!paired || position >= rows.length) return null;
+            const earlier = rows[position++];
+            if (certOf(earlier) !== certOf(values)) {
+                console.warn(
+                    `⚠️ Data row ${position} of the existing output has cert "${certOf(earlier)}" but the input has "${certOf(values)}". Processing the rest again.`
+                );
+                paired = false;
+                return null;
+            }
+            if (retryNoComps && needsRetry(earlier)) {
+                retried++;
+                return null;
+            }
+            reused++;
+            return earlier;
+        },
+
+        /** Earlier rows not reached yet, kept when a run stops early */
+        remaining() {
+            return paired ? rows.slice(position) : [];
+        },
+
+        get reused() {
+            return reused;
+        },
+
+        get retried() {
+            return retried;
+        },
+    };
+}
+
+module.exports = { NO_COMPS, PARTIAL_SUFFIX, readPreviousOutput, createCsvResume };
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const { escapeCsvValue } = require('./utility');
+
+const DEFAULT_DRY_RUN_FILE = './dry_run_report.json';
+
+const DIFF_COLUMNS = ['tab', 'row', 'cert', 'column', 'change', 'oldValue', 'newValue', 'source'];
+
+/**
+ * Formats a cell value or background color for reports.
+ * @param {*} value
+ * @returns {*}
+ */
+const formatCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') {
+        const { red = 0, green = 0, blue = 0 } = value;
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+    return value;
+};
+
+/**
+ * Turns planned writes for one row into diff entries (old value -> new value).
+ * @param {Array<{field: string, cell: Object, property: string, value: *, source: string}>} writes - From planCellWrites
+ * @param {Object} context
+ * @param {string} context.tab
+ * @param {number} context.rowNumber
+ * @param {string} context.cert
+ * @param {Object<string, {header: string|null}>} context.columns - Result of resolveColumns
+ * @returns {Object[]}
+ */
+const buildDiffRows = (writes, { tab, rowNumber, cert, columns }) =>
+    writes.map(({ field, cell, property, value, source }) => ({
+        tab,
+        row: rowNumber,
+        cert,
+        column: columns[field]?.header || field,
+        change: property === 'backgroundColor' ? 'color' : 'value',
+        // The backgroundColor getter throws on cells without a format; read the raw format
+        oldValue: formatCellValue(
+            property === 'backgroundColor'
+                ? cell.userEnteredFormat?.backgroundColor
+                : cell[property]
+        ),
+        newValue: formatCellValue(value),
+        source,
+    }));
+
+/**
+ * Writes the diff entries as JSON, or CSV when the path ends in .csv.
+ * @param {string} filePath
+ * @param {Object[]} diffRows - From buildDiffRows
+ */
+const writeDiffReport = (filePath, diffRows) => {
+    if (filePath.toLowerCase().endsWith('.csv')) {
+        const lines = [DIFF_COLUMNS.join(',')];
+        for (const diff of diffRows) {
+            lines.push(DIFF_COLUMNS.map((key) => escapeCsvValue(diff[key])).join(','));
+        }
+        fs.writeFileSync(filePath, lines.join('\n') + '\n');
+        return;
+    }
+    fs.writeFileSync(filePath, JSON.stringify(diffRows, null, 4));
+};
+
+module.exports = { DEFAULT_DRY_RUN_FILE, formatCellValue, buildDiffRows, writeDiffReport };
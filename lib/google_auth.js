@@ -0,0 +1,189 @@
+const fs = require('fs');
+const http = require('http');
+const { JWT, OAuth2Client } = require('google-auth-library');
+
+const DEFAULT_OAUTH_TOKEN_FILE = './google_token.json';
+
+const readJsonFile = (filePath, label) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${label} not found: ${filePath}`);
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`${label} ${filePath} is not valid JSON: ${e.message}`);
+    }
+};
+
+/**
+ * Reads a service account key downloaded from the Google Cloud Console.
+ * @param {string} filePath
+ * @returns {{email: string, key: string}}
+ * @throws {Error} When the file is missing or is not a service account key
+ */
+const readServiceAccountKey = (filePath) => {
+    const json = readJsonFile(filePath, 'Service account key file');
+    if (json.type !== 'service_account' || !json.client_email || !json.private_key) {
+        throw new Error(
+            `${filePath} is not a service account key (expected "type": "service_account" with client_email and private_key)`
+        );
+    }
+    return { email: json.client_email, key: json.private_key };
+};
+
+/**
+ * Reads an OAuth client ID file ("Desktop app" type) from the Google Cloud Console.
+ * @param {string} filePath
+ * @returns {{clientId: string, clientSecret: string}}
+ * @throws {Error} When the file is missing or is not an OAuth client
+ */
+const readOAuthClient = (filePath) => {
+    const json = readJsonFile(filePath, 'OAuth client file');
+    const client = json.installed || json.web;
+    if (!client || !client.client_id || !client.client_secret) {
+        throw new Error(
+            `${filePath} is not an OAuth client file (expected an "installed" client with client_id and client_secret)`
+        );
+    }
+    return { clientId: client.client_id, clientSecret: client.client_secret };
+};
+
+// The token holds a refresh token, so only the current user may read it
+const writeToken = (filePath, tokens) => {
+    fs.writeFileSync(filePath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+};
+
+/**
+ * Runs the installed-app sign-in: prints a Google consent URL and waits for the
+ * redirect to a one-off local server to hand over the code.
+ * @param {string} clientId
+ * @param {string} clientSecret
+ * @param {string[]} scopes
+ * @returns {Promise<OAuth2Client>} Client with fresh tokens
+ */
+async function signInWithBrowser(clientId, clientSecret, scopes) {
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const redirectUri = `http://127.0.0.1:${server.address().port}`;
+    const client = new OAuth2Client({ clientId, clientSecret, redirectUri });
+
+    const codeReceived = new Promise((resolve, reject) => {
+        server.on('request', (req, res) => {
+            const params = new URL(req.url, redirectUri).searchParams;
+            const code = params.get('code');
+            const error = params.get('error');
+            if (!code && !error) {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(
+                code
+                    ? 'Signed in. You can close this tab and return to the terminal.'
+                    : `Sign-in failed: ${error}`
+            );
+            if (code) resolve(code);
+            else reject(new Error(`Google sign-in failed: ${error}`));
+        });
+    });
+
+    const authUrl = client.generateAuthUrl({
+        access_type: 'offline',
+        prompt: 'consent',
+        scope: scopes,
+    });
+    console.log('🔐 Open this URL in your browser and allow access to Google Sheets:');
+    console.log(authUrl);
+
+    try {
+        const code = await codeReceived;
+        const { tokens } = await client.getToken(code);
+        client.setCredentials(tokens);
+        return client;
+    } finally {
+        server.close();
+    }
+}
+
+/**
+ * Signs in as the user with an installed-app OAuth client, reusing the cached
+ * token when it is still accepted. Refreshed tokens are written back to the cache.
+ * @param {Object} options
+ * @param {string} options.clientFile - OAuth client ID JSON
+ * @param {string} options.tokenFile - Token cache
+ * @param {string[]} options.scopes
+ * @returns {Promise<OAuth2Client>}
+ */
+async function authorizeInstalledApp({ clientFile, tokenFile, scopes }) {
+    const { clientId, clientSecret } = readOAuthClient(clientFile);
+
+    let client = null;
+    if (fs.existsSync(tokenFile)) {
+        client = new OAuth2Client({ clientId, clientSecret });
+        try {
+            client.setCredentials(JSON.parse(fs.readFileSync(tokenFile, 'utf8')));
+            await client.getAccessToken();
+            console.log(`🔑 Using cached Google sign-in from ${tokenFile}`);
+        } catch (e) {
+            console.warn(
+                `⚠️ Cached Google sign-in in ${tokenFile} was rejected (${e.message}). Signing in again.`
+            );
+            client = null;
+        }
+    }
+
+    if (!client) {
+        client = await signInWithBrowser(clientId, clientSecret, scopes);
+        writeToken(tokenFile, client.credentials);
+        console.log(`🔑 Signed in to Google. Token saved to ${tokenFile}`);
+    }
+
+    // Access tokens expire hourly; keep the refreshed one (and the refresh token)
+    client.on('tokens', (tokens) => writeToken(tokenFile, { ...client.credentials, ...tokens }));
+    return client;
+}
+
+/**
+ * Builds the Google auth client from env settings, in this order:
+ * GOOGLE_OAUTH_CLIENT_FILE (sign in as yourself), GOOGLE_SERVICE_ACCOUNT_KEY_FILE
+ * (downloaded key JSON), then GOOGLE_SERVICE_ACCOUNT_EMAIL + GOOGLE_PRIVATE_KEY.
+ * @param {Object} env - Usually process.env
+ * @param {string[]} scopes
+ * @returns {Promise<JWT|OAuth2Client>}
+ * @throws {Error} When no credentials are configured or a file is invalid
+ */
+async function createGoogleAuth(env, scopes) {
+    if (env.GOOGLE_OAUTH_CLIENT_FILE) {
+        return authorizeInstalledApp({
+            clientFile: env.GOOGLE_OAUTH_CLIENT_FILE,
+            tokenFile: env.GOOGLE_OAUTH_TOKEN_FILE || DEFAULT_OAUTH_TOKEN_FILE,
+            scopes,
+        });
+    }
+
+    if (env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE) {
+        const { email, key } = readServiceAccountKey(env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE);
+        console.log(`🔑 Using service account ${email}`);
+        return new JWT({ email, key, scopes });
+    }
+
+    if (env.GOOGLE_SERVICE_ACCOUNT_EMAIL && env.GOOGLE_PRIVATE_KEY) {
+        return new JWT({
+            email: env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+            key: env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+            scopes,
+        });
+    }
+
+    throw new Error(
+        'Missing Google credentials. Set GOOGLE_SERVICE_ACCOUNT_KEY_FILE, GOOGLE_OAUTH_CLIENT_FILE, or GOOGLE_SERVICE_ACCOUNT_EMAIL and GOOGLE_PRIVATE_KEY in .env.'
+    );
+}
+
+module.exports = {
+    DEFAULT_OAUTH_TOKEN_FILE,
+    readServiceAccountKey,
+    readOAuthClient,
+    authorizeInstalledApp,
+    createGoogleAuth,
+};
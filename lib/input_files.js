@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files the csv command reads when given a directory or glob
+const INPUT_EXTENSIONS = ['.csv', '.tsv', '.xlsx'];
+
+const isInputFile = (name) => INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase());
+
+// Filled copies from earlier runs sit next to the inputs; they are outputs, not inputs
+const isFilledCopy = (name) => path.parse(name).name.endsWith('_filled');
+
+const globToRegExp = (pattern) =>
+    new RegExp(
+        `^${pattern
+            .split('')
+            .map((char) => {
+                if (char === '*') return '.*';
+                if (char === '?') return '.';
+                return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('')}$`,
+        'i'
+    );
+
+const listFiles = (dir, matches) =>
+    fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isFile() && matches(entry.name) && !isFilledCopy(entry.name))
+        .map((entry) => entry.name)
+        .sort((a, b) => a.localeCompare(b))
+        .map((name) => path.join(dir, name));
+
+/**
+ * Expands the csv command's arguments into input files. Each argument is a file,
+ * a directory (its .csv, .tsv and .xlsx files) or a glob with * or ? in the file
+ * name, e.g. "exports/*.csv" (quoted, so the shell leaves it alone).
+ * Directories and globs leave out filled copies (*_filled.*) from earlier runs.
+ * @param {string[]} args
+ * @returns {string[]} Files in argument order, directories and globs sorted by name,
+ *   each file once
+ * @throws {Error} When an argument does not exist or matches no files
+ */
+const findInputFiles = (args) => {
+    const files = [];
+    for (const arg of args) {
+        let matched;
+        if (/[*?]/.test(path.basename(arg))) {
+            const dir = path.dirname(arg);
+            const pattern = globToRegExp(path.basename(arg));
+            matched = fs.existsSync(dir)
+                ? listFiles(dir, (name) => pattern.test(name) && isInputFile(name))
+                : [];
+        } else if (!fs.existsSync(arg)) {
+            throw new Error(`Input file not found: ${arg}`);
+        } else if (fs.statSync(arg).isDirectory()) {
+            matched = listFiles(arg, isInputFile);
+        } else {
+            matched = [arg];
+        }
+        if (matched.length === 0) {
+            throw new Error(`No ${INPUT_EXTENSIONS.join(', ')} files match "${arg}"`);
+        }
+        files.push(...matched);
+    }
+    return [...new Set(files)];
+};
+
+module.exports = { INPUT_EXTENSIONS, findInputFiles };
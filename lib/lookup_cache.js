@@ -0,0 +1,79 @@
+/**
+ * Wraps the PSA and CL lookups so each cert is looked up at most once per run;
+ * repeats of a cert reuse the first result. Failed lookups (null) are not kept,
+ * so a later row with the same cert tries again.
+ * @param {Object} psaService - PsaService instance
+ * @param {Function} getCLValue - See lib/services/cl_service.js
+ * @returns {{psaService: {getDetails: Function}, getCLValue: Function, hits: number}}
+ *   Drop-in replacements for the services passed to processRow; hits counts reused results
+ */
+function createLookupCache(psaService, getCLValue) {
+    const psaResults = new Map();
+    const clResults = new Map();
+    // Raw value of the last live CL lookup. The CL page still shows that card after
+    // cache hits, so it stays the reference for the stale-value check.
+    let lastLiveValue;
+    let hits = 0;
+
+    const keyOf = (cert) => String(cert).trim();
+
+    return {
+        psaService: {
+            async getDetails(cert) {
+                const key = keyOf(cert);
+                if (psaResults.has(key)) {
+                    hits += 1;
+                    console.log(`♻️ Reusing PSA details for repeated cert ${key}`);
+                    return psaResults.get(key);
+                }
+                const result = await psaService.getDetails(cert);
+                if (result) psaResults.set(key, result);
+                return result;
+            },
+        },
+
+        async getCLValue(page, cert, previousValue = null, skipStaleCheck = false, apiKey = null) {
+            const key = keyOf(cert);
+            if (clResults.has(key)) {
+                hits += 1;
+                console.log(`♻️ Reusing CL value for repeated cert ${key}`);
+                return clResults.get(key);
+            }
+            const reference = lastLiveValue === undefined ? previousValue : lastLiveValue;
+            const result = await getCLValue(page, cert, reference, skipStaleCheck, apiKey);
+            if (result) {
+                clResults.set(key, result);
+                lastLiveValue = result.raw;
+            }
+            return result;
+        },
+
+        get hits() {
+            return hits;
+        },
+    };
+}
+
+/**
+ * Finds certs that appear on more than one row.
+ * @param {Array<{cert: string, row: number, tab?: string}>} certRows
+ * @returns {Array<{cert: string, count: number, rows: string}>} rows lists "Tab row N" (or "row N")
+ */
+const findDuplicateCerts = (certRows) => {
+    const byCert = new Map();
+    for (const { cert, row, tab } of certRows) {
+        const key = String(cert).trim();
+        if (!byCert.has(key)) byCert.set(key, []);
+        byCert.get(key).push(tab ? `${tab} row ${row}` : `row ${row}`);
+    }
+
+    return [...byCert]
+        .filter(([, locations]) => locations.length > 1)
+        .map(([cert, locations]) => ({
+            cert,
+            count: locations.length,
+            rows: locations.join(', '),
+        }));
+};
+
+module.exports = { createLookupCache, findDuplicateCerts };
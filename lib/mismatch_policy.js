@@ -0,0 +1,75 @@
+const MISMATCH_ACTIONS = ['flag', 'overwrite'];
+
+/**
+ * Parses a tolerance or threshold: a dollar amount ("2") or a percentage ("5%").
+ * @param {string|undefined} spec
+ * @param {string} name - Setting name, for errors
+ * @returns {{type: 'absolute'|'percent', value: number}|null} null when not set
+ * @throws {Error} On anything else
+ */
+const parseAmount = (spec, name) => {
+    const text = String(spec ?? '').trim();
+    if (text === '') return null;
+
+    const match = /^(\d+(?:\.\d+)?)\s*(%?)$/.exec(text);
+    if (!match) {
+        throw new Error(
+            `Invalid ${name} "${text}" (expected an amount like 2 or a percentage like 5%)`
+        );
+    }
+    return { type: match[2] ? 'percent' : 'absolute', value: Number(match[1]) };
+};
+
+/**
+ * Builds the mismatch policy from settings.
+ * @param {Object} settings
+ * @param {string} [settings.tolerance] - Differences up to this are ignored (default: none)
+ * @param {string} [settings.threshold] - Differences above this get `action` (default: none)
+ * @param {string} [settings.action='flag'] - 'flag' or 'overwrite'
+ * @returns {{tolerance: Object|null, threshold: Object|null, action: string}}
+ * @throws {Error} On invalid settings
+ */
+const createMismatchPolicy = ({ tolerance, threshold, action } = {}) => {
+    const normalizedAction = String(action || 'flag').toLowerCase();
+    if (!MISMATCH_ACTIONS.includes(normalizedAction)) {
+        throw new Error(
+            `Invalid MISMATCH_ACTION "${action}" (expected ${MISMATCH_ACTIONS.join(' or ')})`
+        );
+    }
+    return {
+        tolerance: parseAmount(tolerance, 'MISMATCH_TOLERANCE'),
+        threshold: parseAmount(threshold, 'MISMATCH_THRESHOLD'),
+        action: normalizedAction,
+    };
+};
+
+const exceeds = (difference, current, amount) => {
+    if (amount.type === 'absolute') return difference > amount.value;
+    if (current === 0) return difference > 0;
+    return (difference / Math.abs(current)) * 100 > amount.value;
+};
+
+/**
+ * Decides what to do when the sheet value differs from the CL value.
+ * Percentages are relative to the current sheet value.
+ * @param {number} current - Value in the sheet (NaN if unreadable)
+ * @param {number} next - Value that would be written
+ * @param {Object} [policy] - From createMismatchPolicy; without one every difference is flagged
+ * @returns {{action: 'match'|'ignore'|'flag'|'overwrite', aboveThreshold: boolean}}
+ *   ignore = within tolerance; overwrite = above the threshold with action "overwrite"
+ */
+const classifyMismatch = (current, next, policy) => {
+    if (current === next) return { action: 'match', aboveThreshold: false };
+    if (Number.isNaN(current) || !policy) return { action: 'flag', aboveThreshold: false };
+
+    const difference = Math.abs(next - current);
+    if (policy.tolerance && !exceeds(difference, current, policy.tolerance)) {
+        return { action: 'ignore', aboveThreshold: false };
+    }
+    if (policy.threshold && exceeds(difference, current, policy.threshold)) {
+        return { action: policy.action, aboveThreshold: true };
+    }
+    return { action: 'flag', aboveThreshold: false };
+};
+
+module.exports = { MISMATCH_ACTIONS, parseAmount, createMismatchPolicy, classifyMismatch };
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const { loadCellsWithRetry } = require('./sheet_loader');
+const { buildProvenanceNote, mergeProvenanceNote } = require('./cell_writes');
+const { formatCellValue } = require('./dry_run');
+
+const DEFAULT_PENDING_WRITES_FILE = './pending_writes.json';
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Records applied cell writes so they can be re-applied if their save is not confirmed.
+ * @param {Array<Object>} writes - From planCellWrites (cells must expose a1Address)
+ * @param {number} rowNumber - 1-based sheet row number
+ * @param {Object} [options]
+ * @param {boolean} [options.notes=true] - Whether value writes carry a provenance note
+ * @param {Date} [options.date]
+ * @returns {Array<{row: number, a1: string, property: string, value: *, note?: string}>}
+ */
+const buildPendingWrites = (writes, rowNumber, { notes = true, date = new Date() } = {}) =>
+    writes.map((write) => {
+        const entry = {
+            row: rowNumber,
+            a1: write.cell.a1Address,
+            property: write.property,
+            value: write.value,
+        };
+        if (notes && write.property === 'value') entry.note = buildProvenanceNote(write, date);
+        return entry;
+    });
+
+/**
+ * Leaves out queued writes to cells that newer writes replace, so an earlier
+ * run's value or red fill is not re-applied over this run's result.
+ * @param {Object[]} entries - Queued writes, from buildPendingWrites
+ * @param {Object[]} newer - Writes made since, from buildPendingWrites
+ * @returns {Object[]} The entries whose cell is not in newer
+ */
+const dropSupersededWrites = (entries, newer) => {
+    const written = new Set(newer.map((entry) => entry.a1));
+    return entries.filter((entry) => !written.has(entry.a1));
+};
+
+/**
+ * Reads every queued write group.
+ * @param {string} filePath
+ * @returns {Object<string, {sheetId: string, tab: string, writes: Object[]}>} Keyed by getCheckpointKey
+ */
+const readPendingWrites = (filePath) => {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (err) {
+        console.warn(`⚠️ Ignoring unreadable pending writes file "${filePath}": ${err.message}`);
+        return {};
+    }
+};
+
+/**
+ * Replaces the queued writes for one spreadsheet tab. An empty list removes the
+ * entry, and the file is deleted once nothing is left to replay.
+ * @param {string} filePath
+ * @param {string} key - From getCheckpointKey
+ * @param {{sheetId: string, tab: string}} target
+ * @param {Object[]} writes - From buildPendingWrites
+ */
+const storePendingWrites = (filePath, key, { sheetId, tab }, writes) => {
+    const pending = readPendingWrites(filePath);
+    if (writes.length > 0) {
+        pending[key] = { sheetId, tab, writes };
+    } else {
+        delete pending[key];
+    }
+
+    if (Object.keys(pending).length > 0) {
+        fs.writeFileSync(filePath, JSON.stringify(pending, null, 4));
+    } else if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+};
+
+const colorsMatch = (actual, expected) =>
+    ['red', 'green', 'blue'].every(
+        (channel) => Math.abs((actual?.[channel] || 0) - (expected?.[channel] || 0)) < 0.01
+    );
+
+/**
+ * Checks whether a freshly loaded cell holds a queued write.
+ * @param {Object} cell - GoogleSpreadsheetCell
+ * @param {{property: string, value: *}} entry
+ * @returns {boolean}
+ */
+const isWriteConfirmed = (cell, { property, value }) => {
+    if (!cell) return false;
+    // The backgroundColor getter throws on cells without a format; read the raw format
+    if (property === 'backgroundColor') {
+        return colorsMatch(cell.userEnteredFormat?.backgroundColor, value);
+    }
+
+    const actual = cell.value ?? null;
+    return typeof value === 'number'
+        ? Number(actual) === value
+        : String(actual ?? '').trim() === String(value).trim();
+};
+
+/**
+ * Groups unconfirmed writes by row for the summary and Run Log.
+ * @param {Object[]} remaining - Unconfirmed entries
+ * @param {Map<Object, *>} actuals - Entry -> value found in the sheet
+ * @returns {Array<{rowNumber: number, cells: Array<{a1: string, expected: *, actual: *}>}>}
+ */
+const groupUnconfirmedWrites = (remaining, actuals) => {
+    const byRow = new Map();
+    for (const entry of remaining) {
+        if (!byRow.has(entry.row)) byRow.set(entry.row, []);
+        byRow.get(entry.row).push({
+            a1: entry.a1,
+            expected: formatCellValue(entry.value),
+            actual: formatCellValue(actuals.get(entry)) ?? '',
+        });
+    }
+    return [...byRow].map(([rowNumber, cells]) => ({ rowNumber, cells }));
+};
+
+/**
+ * Re-reads queued cells and re-applies the writes that are missing, backing off
+ * between attempts, until every write is confirmed or the attempts run out.
+ * @param {Object} sheet - GoogleSpreadsheetWorksheet
+ * @param {Object[]} entries - From buildPendingWrites
+ * @param {Object} [options]
+ * @param {number} [options.attempts=5] - Re-reads (each followed by a save if needed)
+ * @param {number} [options.backoffMs=2000] - First wait between attempts, doubled each time
+ * @param {number} [options.readBackoffMs=5000] - Wait after a quota error on reads
+ * @returns {Promise<{confirmed: number, remaining: Object[], unconfirmedSaves: Object[]}>}
+ *   remaining holds the writes still unconfirmed; unconfirmedSaves groups them by row with the values found
+ */
+async function flushPendingWrites(
+    sheet,
+    entries,
+    { attempts = 5, backoffMs = 2000, readBackoffMs = 5000 } = {}
+) {
+    let remaining = entries;
+    const actuals = new Map();
+
+    for (let attempt = 1; attempt <= attempts && remaining.length > 0; attempt++) {
+        await loadCellsWithRetry(sheet, [...new Set(remaining.map((entry) => entry.a1))], {
+            backoffMs: readBackoffMs,
+            label: `${remaining.length} pending writes`,
+        });
+
+        const unconfirmed = remaining.filter(
+            (entry) => !isWriteConfirmed(sheet.getCellByA1(entry.a1), entry)
+        );
+        const confirmedNow = remaining.length - unconfirmed.length;
+        if (confirmedNow > 0) console.log(`✅ Confirmed ${confirmedNow} pending writes`);
+
+        remaining = unconfirmed;
+        for (const entry of remaining) {
+            const cell = sheet.getCellByA1(entry.a1);
+            actuals.set(
+                entry,
+                entry.property === 'value' ? cell?.value : cell?.userEnteredFormat?.backgroundColor
+            );
+        }
+        if (remaining.length === 0 || attempt === attempts) break;
+
+        console.log(
+            `🔁 Re-applying ${remaining.length} unconfirmed writes (retry ${attempt}/${attempts - 1})...`
+        );
+        for (const entry of remaining) {
+            const cell = sheet.getCellByA1(entry.a1);
+            cell[entry.property] = entry.value;
+            if (entry.note) cell.note = mergeProvenanceNote(cell.note, entry.note);
+        }
+        try {
+            await sheet.saveUpdatedCells();
+        } catch (saveError) {
+            console.warn(
+                `⚠️ Re-applied writes failed to save:`,
+                saveError?.message || String(saveError)
+            );
+        }
+        const delay = backoffMs * 2 ** (attempt - 1);
+        if (delay > 0) await wait(delay);
+    }
+
+    return {
+        confirmed: entries.length - remaining.length,
+        remaining,
+        unconfirmedSaves: groupUnconfirmedWrites(remaining, actuals),
+    };
+}
+
+module.exports = {
+    DEFAULT_PENDING_WRITES_FILE,
+    buildPendingWrites,
+    dropSupersededWrites,
+    readPendingWrites,
+    storePendingWrites,
+    isWriteConfirmed,
+    flushPendingWrites,
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const { describeRowStatus } = require('./row_status');
+
+/**
+ * Wraps the PSA and CL lookups passed to processRow so their time is measured.
+ * A repeated cert served by the lookup cache counts as (almost) 0 ms.
+ * @param {{psaService: Object, getCLValue: Function, page: Object}} services
+ * @returns {{services: Object, timings: {psaMs: number, clMs: number}}} Pass
+ *   services to processRow; timings add up as the lookups finish
+ */
+const timeLookups = (services) => {
+    const timings = { psaMs: 0, clMs: 0 };
+    const timed = async (key, lookup) => {
+        const start = Date.now();
+        try {
+            return await lookup();
+        } finally {
+            timings[key] += Date.now() - start;
+        }
+    };
+
+    return {
+        services: {
+            ...services,
+            psaService: {
+                getDetails: (cert) => timed('psaMs', () => services.psaService.getDetails(cert)),
+            },
+            getCLValue: (...args) => timed('clMs', () => services.getCLValue(...args)),
+        },
+        timings,
+    };
+};
+
+/**
+ * Builds one export line for a processed row.
+ * @param {Object} entry
+ * @param {string} entry.flow - 'sheet' or 'csv'
+ * @param {Object} entry.location - Where the row lives, e.g. {spreadsheet, tab} or {file}
+ * @param {number} entry.row
+ * @param {Object} entry.rowData - processRow input (prevRowData is left out)
+ * @param {Object|null} entry.result - processRow instructions; null when it threw
+ * @param {Error} [entry.error]
+ * @param {Date} entry.startedAt - When the row started
+ * @param {{psaMs: number, clMs: number}} [entry.timings] - From timeLookups
+ * @returns {Object}
+ */
+const buildResultRecord = ({
+    flow,
+    location,
+    row,
+    rowData,
+    result,
+    error,
+    startedAt,
+    timings = {},
+}) => {
+    const inputs = { ...rowData };
+    delete inputs.prevRowData;
+    const { status, source, error: problem } = describeRowStatus(result, error);
+    return {
+        timestamp: startedAt.toISOString(),
+        flow,
+        ...location,
+        row,
+        cert: rowData.cert,
+        inputs,
+        result,
+        status,
+        source,
+        error: problem || null,
+        timings: {
+            totalMs: Date.now() - startedAt.getTime(),
+            psaMs: timings.psaMs ?? null,
+            clMs: timings.clMs ?? null,
+        },
+    };
+};
+
+/**
+ * Opens the NDJSON results file (RESULTS_FILE). Lines are appended as rows finish,
+ * so the file holds every row up to a crash and several runs can share it.
+ * @param {string} [filePath]
+ * @returns {{filePath: string, write: Function, count: number}|null} null when no file is set
+ */
+const openResultsExport = (filePath) => {
+    if (!filePath) return null;
+    let count = 0;
+    return {
+        filePath,
+        write(record) {
+            fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+            count += 1;
+        },
+        get count() {
+            return count;
+        },
+    };
+};
+
+module.exports = { timeLookups, buildResultRecord, openResultsExport };
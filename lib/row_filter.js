@@ -0,0 +1,141 @@
+const OPERATORS = ['<=', '>=', '!=', '<>', '=', '<', '>'];
+
+const CONDITION_PATTERN = /^\s*("[^"]+"|.+?)\s*(<=|>=|!=|<>|=|<|>)\s*(.*?)\s*$/;
+
+const unquote = (text) => {
+    const match = /^"(.*)"$/.exec(text);
+    return match ? match[1] : text;
+};
+
+/**
+ * Parses a date written as YYYY-MM-DD, M/D/YYYY or M/D/YY.
+ * Dates without a year are not comparable and return null.
+ * @param {*} value
+ * @returns {number|null} Timestamp (local midnight)
+ */
+const parseDateValue = (value) => {
+    const text = String(value ?? '').trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (match) return new Date(+match[1], match[2] - 1, +match[3]).getTime();
+
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text);
+    if (match) {
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        return new Date(year, match[1] - 1, +match[2]).getTime();
+    }
+    return null;
+};
+
+/**
+ * Parses a cell as a number, ignoring currency symbols and thousands separators.
+ * @param {*} value
+ * @returns {number|null}
+ */
+const parseNumberValue = (value) => {
+    const text = String(value ?? '')
+        .replace(/[$,\s]/g, '')
+        .trim();
+    if (text === '' || Number.isNaN(Number(text))) return null;
+    return Number(text);
+};
+
+/**
+ * Splits a filter expression into conditions joined by AND.
+ * Values in double quotes are compared as text; unquoted numbers and dates
+ * (YYYY-MM-DD or M/D/YYYY) are compared numerically / chronologically.
+ * @param {string} expression - e.g. `OWNERSHIP = "Consignment" AND CL Confidence Level < 3`
+ * @returns {Array<{column: string, operator: string, type: 'text'|'number'|'date', value: *}>}
+ */
+const parseRowFilter = (expression) => {
+    const parts = String(expression || '')
+        .split(/\s+AND\s+(?=(?:[^"]*"[^"]*")*[^"]*$)/i)
+        .filter((part) => part.trim() !== '');
+
+    return parts.map((part) => {
+        const match = CONDITION_PATTERN.exec(part);
+        if (!match || !OPERATORS.includes(match[2]) || match[1].trim() === '') {
+            throw new Error(
+                `Invalid row filter "${part.trim()}" (expected: Column <op> value, op one of ${OPERATORS.join(' ')})`
+            );
+        }
+
+        const column = unquote(match[1].trim());
+        const operator = match[2] === '<>' ? '!=' : match[2];
+        const rawValue = match[3];
+
+        if (/^".*"$/.test(rawValue)) {
+            return { column, operator, type: 'text', value: unquote(rawValue) };
+        }
+        if (parseDateValue(rawValue) !== null) {
+            return { column, operator, type: 'date', value: parseDateValue(rawValue) };
+        }
+        if (parseNumberValue(rawValue) !== null) {
+            return { column, operator, type: 'number', value: parseNumberValue(rawValue) };
+        }
+        return { column, operator, type: 'text', value: rawValue };
+    });
+};
+
+const compare = (left, operator, right) => {
+    switch (operator) {
+        case '=':
+            return left === right;
+        case '!=':
+            return left !== right;
+        case '<':
+            return left < right;
+        case '<=':
+            return left <= right;
+        case '>':
+            return left > right;
+        case '>=':
+            return left >= right;
+        default:
+            return false;
+    }
+};
+
+const matchesCondition = (cellValue, { operator, type, value }) => {
+    if (type === 'text') {
+        const left = String(cellValue ?? '')
+            .trim()
+            .toLowerCase();
+        return compare(left, operator, String(value).trim().toLowerCase());
+    }
+
+    const left = type === 'date' ? parseDateValue(cellValue) : parseNumberValue(cellValue);
+    // Blank or unreadable cells only satisfy "!="
+    if (left === null) return operator === '!=';
+    return compare(left, operator, value);
+};
+
+/**
+ * Builds a row predicate from a filter expression, resolving column names
+ * against the header row (case-insensitive).
+ * @param {string} expression - See parseRowFilter
+ * @param {string[]} headers - Header row values
+ * @returns {((getValue: (index: number) => *) => boolean)|null} null when the expression is empty
+ * @throws {Error} On invalid syntax or unknown columns
+ */
+const compileRowFilter = (expression, headers) => {
+    const conditions = parseRowFilter(expression);
+    if (conditions.length === 0) return null;
+
+    const normalizedHeaders = headers.map((header) =>
+        String(header ?? '')
+            .trim()
+            .toLowerCase()
+    );
+    const resolved = conditions.map((condition) => {
+        const index = normalizedHeaders.indexOf(condition.column.toLowerCase());
+        if (index === -1) {
+            throw new Error(`Row filter column "${condition.column}" not found in headers`);
+        }
+        return { ...condition, index };
+    });
+
+    return (getValue) =>
+        resolved.every((condition) => matchesCondition(getValue(condition.index), condition));
+};
+
+module.exports = { parseRowFilter, compileRowFilter };
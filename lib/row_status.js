@@ -0,0 +1,54 @@
+// Titles of the optional columns the file flow adds (STATUS_COLUMNS=true)
+const STATUS_HEADERS = {
+    status: 'Lookup Status',
+    source: 'Value Source',
+    error: 'Error',
+};
+
+/**
+ * Explains in words what happened to a row, for files that cannot show the red
+ * cells and notes the sheet flow uses.
+ * @param {Object|null} result - processRow instructions, or null when processRow threw
+ * @param {Error} [error] - What processRow threw
+ * @returns {{status: string, source: string, error: string}}
+ *   status lists every outcome ("Filled", "PSA failed, No comps", ...), source is where
+ *   the CL value came from, error gives the reason for each problem
+ */
+const describeRowStatus = (result, error) => {
+    if (!result) {
+        return { status: 'Error', source: '', error: error ? error.message : 'Unknown error' };
+    }
+
+    const outcomes = [];
+    const errors = [];
+
+    const filled =
+        ['writeName', 'writeNumber', 'writeGrade', 'writeConfidence'].some((key) => result[key]) ||
+        (result.writeValue && !result.writeErrorColor);
+    if (filled) outcomes.push('Filled');
+
+    if (result.writePsaErrorColor) {
+        outcomes.push('PSA failed');
+        errors.push('PSA returned no details for this cert');
+    }
+    if (result.writeErrorColor) {
+        outcomes.push('No comps');
+        errors.push('Card Ladder found no sales for this card');
+    }
+    if (result.mismatch) {
+        const { sheetVal, scrapedVal, aboveThreshold } = result.mismatch;
+        outcomes.push('Mismatch');
+        errors.push(
+            `Value ${sheetVal} differs from Card Ladder ${scrapedVal}${aboveThreshold ? ' (above threshold)' : ''}; not overwritten`
+        );
+    }
+    if (result.correction) outcomes.push('Corrected');
+    if (result.clSkipped === 'SKIP_CL_CHECK') outcomes.push('Skipped (SKIP_CL_CHECK)');
+
+    if (outcomes.length === 0) outcomes.push('Unchanged');
+
+    const source = result.provenance?.value?.source || result.clResult?.source || '';
+    return { status: outcomes.join(', '), source, error: errors.join('; ') };
+};
+
+module.exports = { STATUS_HEADERS, describeRowStatus };
@@ -1,4 +1,5 @@
 const { isMatch } = require('./utility');
+const { classifyMismatch } = require('./mismatch_policy');
 
 /**
  * Core business logic for processing a single row.
@@ -16,16 +17,21 @@ const { isMatch } = require('./utility');
  * @param {string} prevRowData.grade
  * @param {Object} services - External services
  * @param {Object} services.psaService - Instance of PsaService
- * @param {Function} services.getCLValue - Function(cert, lastVal, isSameCard) -> Promise<{raw, higher}>
+ * @param {Function} services.getCLValue - Function(cert, lastVal, isSameCard) -> Promise<{raw, higher, source}>
  * @param {Object} options - Configuration and State
  * @param {string} options.WRITE_MODE - 'BOTH', 'PSA', 'CL'
  * @param {string} options.CL_VALUE_CHOICE - 'RAW' or 'HIGHER'
+ * @param {Object} [options.MISMATCH_POLICY] - From createMismatchPolicy (default: flag every difference)
  * @param {boolean} options.SKIP_CL_CHECK
  * @param {number|null} options.lastScrapedValue
  * @param {Object|null} options.lastPsaDetails
  * @param {number} options.rowNumber - For logging
  *
- * @returns {Promise<Object>} Result instructions and state updates
+ * @returns {Promise<Object>} Result instructions and state updates.
+ *   instructions.provenance maps each written field to { source, raw } (e.g. 'CL API' and the unrounded value)
+ *   instructions.clResult is the CL lookup { raw, higher, confidence, source }, whether or not it was written
+ *   instructions.correction is set when a mismatch above MISMATCH_THRESHOLD was overwritten
+ *   instructions.clSkipped names the setting that skipped the CL lookup ('SKIP_CL_CHECK' or 'WRITE_MODE')
  */
 async function processRow(rowData, services, options) {
     const { cert, currentVal, currentName, currentNumber, currentGrade } = rowData;
@@ -45,6 +51,7 @@ async function processRow(rowData, services, options) {
         FORCE_CL_OVERWRITE = false,
         FORCE_CONFIDENCE_OVERWRITE = false,
         FORCE_GRADE_OVERWRITE = false,
+        MISMATCH_POLICY = null,
     } = options;
 
     const instructions = {
@@ -55,8 +62,12 @@ async function processRow(rowData, services, options) {
         writeConfidence: undefined,
         rowModified: false,
         mismatch: null,
+        correction: null,
         updatedLastScrapedValue: lastScrapedValue,
         updatedLastPsaDetails: lastPsaDetails, // Default to carrying over
+        provenance: {},
+        clResult: null,
+        clSkipped: null,
     };
 
     // 1. PSA Processing
@@ -80,19 +91,26 @@ async function processRow(rowData, services, options) {
             const psaData = await psaService.getDetails(cert);
 
             if (psaData) {
+                const psaSource = psaData.source || 'PSA';
                 if (needsName) {
                     instructions.writeName = psaData.name;
                     activePsaDetails.name = psaData.name;
+                    instructions.provenance.name = { source: psaSource, raw: psaData.name };
                     instructions.rowModified = true;
                 }
                 if (needsNumber) {
                     instructions.writeNumber = psaData.number;
                     activePsaDetails.number = psaData.number;
+                    instructions.provenance.number = { source: psaSource, raw: psaData.number };
                     instructions.rowModified = true;
                 }
                 if (needsGrade) {
                     instructions.writeGrade = psaData.grade;
                     activePsaDetails.grade = psaData.grade;
+                    instructions.provenance.grade = {
+                        source: psaSource,
+                        raw: psaData.rawGrade || psaData.grade,
+                    };
                     instructions.rowModified = true;
                 }
             } else {
@@ -153,6 +171,8 @@ async function processRow(rowData, services, options) {
 
             if (result !== null && result.raw > 0) {
                 const { raw, higher, confidence, grade } = result;
+                const clSource = result.source || 'CL';
+                instructions.clResult = { raw, higher, confidence: confidence || 0, source: clSource };
 
                 // Store confidence for all modes (BOTH, CL, CONFIDENCE)
                 const hasCurrentConfidence = instructions.writeConfidence !== undefined;
@@ -161,6 +181,7 @@ async function processRow(rowData, services, options) {
                         console.log(`✏️ Overwriting CL confidence for ${cert}: ${confidence || 0}`);
                     }
                     instructions.writeConfidence = confidence || 0;
+                    instructions.provenance.confidence = { source: clSource, raw: confidence };
                 }
 
                 // Update State
@@ -189,17 +210,40 @@ async function processRow(rowData, services, options) {
                         }
                         // Write it (optionally overwrite existing)
                         instructions.writeValue = newValToWrite;
+                        instructions.provenance.value = { source: clSource, raw };
                         instructions.rowModified = true;
                     } else {
-                        // Compare
+                        // Compare, allowing for MISMATCH_TOLERANCE / MISMATCH_THRESHOLD
                         const cleanCurrent = parseFloat(String(currentVal).replace(/[^0-9.]/g, ''));
-                        if (cleanCurrent !== newValToWrite) {
-                            instructions.mismatch = {
-                                row: rowNumber,
-                                cert: cert,
-                                sheetVal: cleanCurrent,
-                                scrapedVal: newValToWrite,
-                            };
+                        const { action, aboveThreshold } = classifyMismatch(
+                            cleanCurrent,
+                            newValToWrite,
+                            MISMATCH_POLICY
+                        );
+                        const difference = {
+                            row: rowNumber,
+                            cert: cert,
+                            sheetVal: cleanCurrent,
+                            scrapedVal: newValToWrite,
+                        };
+
+                        if (action === 'ignore') {
+                            console.log(
+                                `✅ ${cert}: ${cleanCurrent} vs ${newValToWrite} is within tolerance`
+                            );
+                        } else if (action === 'overwrite') {
+                            console.log(
+                                `✏️ Auto-correcting CL value for ${cert}: ${cleanCurrent} -> ${newValToWrite}`
+                            );
+                            instructions.writeValue = newValToWrite;
+                            instructions.provenance.value = { source: clSource, raw };
+                            instructions.correction = difference;
+                            instructions.rowModified = true;
+                        } else if (action === 'flag') {
+                            // aboveThreshold marks large differences left for review (MISMATCH_ACTION=flag)
+                            instructions.mismatch = aboveThreshold
+                                ? { ...difference, aboveThreshold }
+                                : difference;
                         }
                     }
                 }
@@ -214,6 +258,7 @@ async function processRow(rowData, services, options) {
                             );
                         }
                         instructions.writeGrade = grade;
+                        instructions.provenance.grade = { source: clSource, raw: grade };
                         instructions.rowModified = true;
                     }
                 }
@@ -227,15 +272,21 @@ async function processRow(rowData, services, options) {
                 if (!hasCurrentVal && WRITE_MODE !== 'CONFIDENCE') {
                     console.log(`⚠️ CL Value failed to load/is 0 for empty cell. Marking RED.`);
                     instructions.writeValue = 'No comps';
+                    instructions.provenance.value = {
+                        source: result?.source || 'CL',
+                        raw: result ? result.raw : null,
+                    };
                     instructions.writeErrorColor = true;
                     instructions.rowModified = true;
                 }
             }
         } else {
             console.log(`Skipping CL check for ${cert} because of SKIP_CL_CHECK`);
+            instructions.clSkipped = 'SKIP_CL_CHECK';
         }
     } else {
         console.log(`Skipping CL check for ${cert} because of WRITE_MODE`);
+        instructions.clSkipped = 'WRITE_MODE';
     }
 
     return instructions;
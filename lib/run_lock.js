@@ -0,0 +1,176 @@
+const os = require('os');
+const crypto = require('crypto');
+const { getOrCreateTab } = require('./sheet_targets');
+
+const DEFAULT_RUN_LOCK_TAB = 'Run Lock';
+const DEFAULT_RUN_LOCK_TTL_MINUTES = 30;
+
+const RUN_LOCK_HEADERS = ['Lock ID', 'Holder', 'Tab', 'Start Row', 'End Row', 'Started', 'Expires'];
+
+/**
+ * Names the person and machine running this process, e.g. "sam@studio-mac".
+ * @returns {string}
+ */
+const describeHolder = () => {
+    let user = process.env.USER || process.env.USERNAME || 'unknown';
+    try {
+        user = os.userInfo().username;
+    } catch {
+        // No passwd entry (e.g. some containers); keep the env name
+    }
+    return `${user}@${os.hostname()}`;
+};
+
+/**
+ * Tells whether two row ranges on the same tab overlap. A null end means "to the last row".
+ * @param {{tab: string, start: number, end: number|null}} a
+ * @param {{tab: string, start: number, end: number|null}} b
+ * @returns {boolean}
+ */
+const rangesOverlap = (a, b) =>
+    a.tab === b.tab && a.start <= (b.end ?? Infinity) && b.start <= (a.end ?? Infinity);
+
+const formatRange = ({ start, end }) => `${start}-${end ?? 'End'}`;
+
+const parseLockRow = (row) => {
+    const endRow = String(row.get('End Row') ?? '').trim();
+    return {
+        row,
+        id: String(row.get('Lock ID') ?? ''),
+        holder: row.get('Holder'),
+        tab: row.get('Tab'),
+        start: Number(row.get('Start Row')) || 2,
+        end: endRow === '' ? null : Number(endRow),
+        started: String(row.get('Started') ?? ''),
+        expires: new Date(row.get('Expires')),
+    };
+};
+
+// Row numbers shift on delete, so delete from the bottom up
+const deleteRows = async (locks) => {
+    const sorted = [...locks].sort((a, b) => b.row.rowNumber - a.row.rowNumber);
+    for (const lock of sorted) {
+        await lock.row.delete();
+    }
+};
+
+const describeConflict = (lock) => ({
+    holder: lock.holder,
+    tab: lock.tab,
+    range: formatRange(lock),
+    started: lock.started,
+    expires: lock.expires.toISOString(),
+});
+
+/**
+ * Claims row ranges in a spreadsheet by adding rows to a hidden lock tab, so two
+ * runs don't write the same rows. Expired locks (holder crashed or was killed)
+ * are removed. After writing, the tab is read again: if another run claimed an
+ * overlapping range first, this claim is withdrawn.
+ * @param {Object} doc - GoogleSpreadsheet with info loaded
+ * @param {Array<{tab: string, start: number, end: number|null}>} ranges
+ * @param {Object} [options]
+ * @param {string} [options.tabTitle='Run Lock']
+ * @param {number} [options.ttlMs] - Lock lifetime without a refresh (default 30 minutes)
+ * @param {boolean} [options.force=false] - Take over overlapping locks instead of refusing
+ * @param {string} [options.holder] - Default: describeHolder()
+ * @returns {Promise<{lock: Object|null, conflicts: Object[]}>} lock is null when refused;
+ *   lock.refresh() extends it and lock.release() removes it
+ */
+async function acquireRunLock(
+    doc,
+    ranges,
+    {
+        tabTitle = DEFAULT_RUN_LOCK_TAB,
+        ttlMs = DEFAULT_RUN_LOCK_TTL_MINUTES * 60 * 1000,
+        force = false,
+        holder = describeHolder(),
+    } = {}
+) {
+    const sheet = await getOrCreateTab(doc, tabTitle, RUN_LOCK_HEADERS, { hidden: true });
+    const id = crypto.randomBytes(6).toString('hex');
+
+    const readLocks = async () => (await sheet.getRows()).map(parseLockRow);
+    const ownRows = async () => (await readLocks()).filter((lock) => lock.id === id);
+    const overlapping = (locks) =>
+        locks.filter(
+            (lock) => lock.id !== id && ranges.some((range) => rangesOverlap(lock, range))
+        );
+
+    const locks = await readLocks();
+    const now = new Date();
+    const expired = locks.filter((lock) => !(lock.expires > now));
+    for (const lock of expired) {
+        console.log(`🧹 Removing expired run lock of ${lock.holder} on "${lock.tab}"`);
+    }
+    await deleteRows(expired);
+
+    const conflicts = overlapping(locks.filter((lock) => lock.expires > now));
+    if (conflicts.length > 0) {
+        if (!force) return { lock: null, conflicts: conflicts.map(describeConflict) };
+        for (const lock of conflicts) {
+            console.warn(
+                `⚠️ Taking over the run lock of ${lock.holder} on "${lock.tab}" rows ${formatRange(lock)}`
+            );
+        }
+        await deleteRows(overlapping(await readLocks()));
+    }
+
+    const started = now.toISOString();
+    const expiresAt = () => new Date(Date.now() + ttlMs).toISOString();
+    await sheet.addRows(
+        ranges.map((range) => [
+            id,
+            holder,
+            range.tab,
+            range.start,
+            range.end ?? '',
+            started,
+            expiresAt(),
+        ]),
+        { raw: true }
+    );
+
+    // Two runs starting together both get here; the earlier claim wins
+    if (!force) {
+        const claimedFirst = (lock) =>
+            lock.started < started || (lock.started === started && lock.id < id);
+        const rivals = overlapping(await readLocks()).filter(
+            (lock) => lock.expires > new Date() && claimedFirst(lock)
+        );
+        if (rivals.length > 0) {
+            await deleteRows(await ownRows());
+            return { lock: null, conflicts: rivals.map(describeConflict) };
+        }
+    }
+
+    return {
+        conflicts: [],
+        lock: {
+            id,
+            async refresh() {
+                const own = await ownRows();
+                if (own.length === 0) {
+                    console.warn(`⚠️ Run lock in "${doc.title}" was removed by another run.`);
+                    return;
+                }
+                for (const lock of own) {
+                    lock.row.set('Expires', expiresAt());
+                    await lock.row.save({ raw: true });
+                }
+            },
+            async release() {
+                await deleteRows(await ownRows());
+            },
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_RUN_LOCK_TAB,
+    DEFAULT_RUN_LOCK_TTL_MINUTES,
+    RUN_LOCK_HEADERS,
+    describeHolder,
+    rangesOverlap,
+    acquireRunLock,
+};
@@ -0,0 +1,143 @@
+const { formatTimestamp } = require('./utility');
+const { getOrCreateTab } = require('./sheet_targets');
+
+const DEFAULT_RUN_LOG_TAB = 'Run Log';
+
+const RUN_LOG_HEADERS = [
+    'Timestamp',
+    'Tab',
+    'Entry',
+    'Row',
+    'Cert',
+    'Sheet Value',
+    'Scraped Value',
+    'Details',
+];
+
+/**
+ * Builds the Run Log block for one run: a run line, a summary line per tab,
+ * then one line per mismatch, auto-correction, "No comps" row, unconfirmed save and duplicate cert.
+ * @param {Object[]} summaries - processSheet summaries for one spreadsheet
+ * @param {Object} run
+ * @param {Date} run.startedAt
+ * @param {string} run.writeMode
+ * @returns {Array<Array<string|number>>} Rows matching RUN_LOG_HEADERS
+ */
+const buildRunLogRows = (summaries, { startedAt, writeMode }) => {
+    const timestamp = formatTimestamp(startedAt);
+    const rows = [
+        [
+            timestamp,
+            '',
+            'Run',
+            '',
+            '',
+            '',
+            '',
+            `Write mode ${writeMode} | ${summaries.length} tab(s) | finished ${formatTimestamp(new Date())}`,
+        ],
+    ];
+
+    for (const summary of summaries) {
+        rows.push([
+            timestamp,
+            summary.tab,
+            'Summary',
+            '',
+            '',
+            '',
+            '',
+            [
+                `Rows ${summary.range}`,
+                `processed ${summary.processedCount}`,
+                `modified ${summary.modifiedCount}`,
+                `mismatches ${summary.mismatches.length}`,
+                `corrected ${summary.corrections.length}`,
+                `no comps ${summary.noCompsRows.length}`,
+                `unconfirmed saves ${summary.unconfirmedSaves.length}`,
+                `duplicate certs ${summary.duplicateCerts.length}`,
+            ].join(' | '),
+        ]);
+
+        for (const mismatch of summary.mismatches) {
+            rows.push([
+                timestamp,
+                summary.tab,
+                'Mismatch',
+                mismatch.row,
+                mismatch.cert,
+                mismatch.sheetVal,
+                mismatch.scrapedVal,
+                mismatch.aboveThreshold ? 'Above threshold' : '',
+            ]);
+        }
+
+        for (const correction of summary.corrections) {
+            rows.push([
+                timestamp,
+                summary.tab,
+                'Auto-corrected',
+                correction.row,
+                correction.cert,
+                correction.sheetVal,
+                correction.scrapedVal,
+                'Above threshold, overwritten',
+            ]);
+        }
+
+        for (const { row, cert } of summary.noCompsRows) {
+            rows.push([timestamp, summary.tab, 'No comps', row, cert, '', '', '']);
+        }
+
+        for (const { rowNumber, cells } of summary.unconfirmedSaves) {
+            rows.push([
+                timestamp,
+                summary.tab,
+                'Unconfirmed save',
+                rowNumber,
+                '',
+                '',
+                '',
+                cells
+                    .map(
+                        ({ a1, expected, actual }) =>
+                            `${a1}: expected ${expected}, found ${actual ?? ''}`
+                    )
+                    .join('; '),
+            ]);
+        }
+
+        for (const duplicate of summary.duplicateCerts) {
+            rows.push([
+                timestamp,
+                summary.tab,
+                'Duplicate cert',
+                '',
+                duplicate.cert,
+                '',
+                '',
+                `${duplicate.count} rows: ${duplicate.rows}`,
+            ]);
+        }
+    }
+
+    return rows;
+};
+
+/**
+ * Appends rows to the Run Log tab, creating the tab (with headers) if needed.
+ * @param {Object} doc - GoogleSpreadsheet with info loaded
+ * @param {Array<Array<string|number>>} rows - From buildRunLogRows
+ * @param {string} [tabTitle]
+ */
+async function appendRunLog(doc, rows, tabTitle = DEFAULT_RUN_LOG_TAB) {
+    const sheet = await getOrCreateTab(doc, tabTitle, RUN_LOG_HEADERS);
+    await sheet.addRows(rows);
+}
+
+module.exports = {
+    DEFAULT_RUN_LOG_TAB,
+    RUN_LOG_HEADERS,
+    buildRunLogRows,
+    appendRunLog,
+};
@@ -44,6 +44,7 @@ async function fetchCLValueFromApi(certNumber, apiKey) {
             higher: Math.ceil(estimatedValue),
             confidence: Number.isNaN(confidence) ? 0 : confidence,
             grade,
+            source: 'CL API',
         };
     } catch (error) {
         console.warn(`⚠️ [CL API] Error for ${certNumber}: ${error.message}`);
@@ -73,7 +74,7 @@ const submitBtnSelector =
  * @param {import('puppeteer').Page} page
  * @param {string} certNumber
  * @param {number|null} previousValue - The raw value of the previous card to check for stale data
- * @returns {Promise<{raw: number, higher: number, confidence: number}|null>} Object containing raw, higher values, and confidence (1-5), or null if failed
+ * @returns {Promise<{raw: number, higher: number, confidence: number, source: string}|null>} Object containing raw, higher values, confidence (1-5) and source ('CL API' or 'CL Scrape'), or null if failed
  */
 async function getCLValue(page, certNumber, previousValue = null, skipStaleCheck = false, apiKey = null) {
     if (!certNumber) return null;
@@ -267,6 +268,7 @@ async function getCLValue(page, certNumber, previousValue = null, skipStaleCheck
             raw: cardLadderValue,
             higher: higherValue,
             confidence: confidence || 0,
+            source: 'CL Scrape',
         };
     } catch (error) {
         console.error('Error processing cert:', certNumber, error);
@@ -13,7 +13,8 @@ class PsaService {
     /**
      * Fetch card details by Cert Number
      * @param {string} cert
-     * @returns {Promise<{name: string, number: string, grade: string}|null>}
+     * @returns {Promise<{name: string, number: string, grade: string, source: string}|null>}
+     *   source is 'PSA API' or 'PSA Scraper'
      */
     async getDetails(cert) {
         // 1. Try API
@@ -50,6 +51,8 @@ class PsaService {
                             name: certData.Subject || certData.CardName || '', // Fallback field names just in case
                             number: certData.CardNumber || '',
                             grade: grade,
+                            rawGrade: certData.CardGrade || '',
+                            source: 'PSA API',
                         };
                     }
                 } else {
@@ -190,6 +193,7 @@ class PsaService {
             });
 
             console.log(`✅ [PSA Scraper] Found: ${data.name} | Grade: ${data.grade}`);
+            data.source = 'PSA Scraper';
             
             // Add delay between requests to avoid bot detection
             await new Promise(r => setTimeout(r, 2000));
@@ -0,0 +1,87 @@
+const { getColLetter } = require('./utility');
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const MAX_LOAD_ATTEMPTS = 5;
+
+/**
+ * Calls sheet.loadCells, retrying on timeouts and quota (429) errors.
+ * @param {Object} sheet - GoogleSpreadsheetWorksheet
+ * @param {string[]} ranges - A1 ranges
+ * @param {Object} [options]
+ * @param {number} [options.backoffMs=5000] - Wait after a quota error
+ * @param {string} [options.label] - For logging
+ */
+async function loadCellsWithRetry(sheet, ranges, { backoffMs = 5000, label = '' } = {}) {
+    let attempt = 0;
+    while (attempt < MAX_LOAD_ATTEMPTS) {
+        try {
+            await sheet.loadCells(ranges);
+            return;
+        } catch (loadError) {
+            const message = loadError?.message || String(loadError);
+            const isTimeout = /timed out|timeout/i.test(message);
+            const isQuota = /quota exceeded|429/i.test(message);
+            attempt += 1;
+
+            if ((isTimeout || isQuota) && attempt < MAX_LOAD_ATTEMPTS) {
+                console.warn(
+                    `⚠️ Load cells throttled for ${label}. Retry ${attempt}/${MAX_LOAD_ATTEMPTS}...`,
+                    message
+                );
+                const backoff = isQuota ? backoffMs : 2000;
+                if (backoff > 0) {
+                    await wait(backoff);
+                }
+                continue;
+            }
+
+            throw loadError;
+        }
+    }
+}
+
+/**
+ * Loads the given columns for a block of rows into the sheet's cell cache,
+ * in chunks of `chunkSize` rows (one Sheets read per chunk).
+ * Cells can then be read with sheet.getCellByA1 without further requests.
+ * @param {Object} sheet - GoogleSpreadsheetWorksheet
+ * @param {number[]} colIndexes - 0-based column indexes (-1 entries are ignored)
+ * @param {number} firstRow - 1-based sheet row number
+ * @param {number} lastRow - 1-based sheet row number (inclusive)
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=500] - Rows per read
+ * @param {number} [options.delayMs=200] - Wait before each read
+ * @param {number} [options.backoffMs=5000] - Wait after a quota error
+ * @returns {Promise<number>} Number of reads made
+ */
+async function loadColumnRange(
+    sheet,
+    colIndexes,
+    firstRow,
+    lastRow,
+    { chunkSize = 500, delayMs = 200, backoffMs = 5000 } = {}
+) {
+    const letters = [...new Set(colIndexes.filter((i) => i >= 0))].map(getColLetter);
+    if (letters.length === 0 || lastRow < firstRow) return 0;
+
+    let reads = 0;
+    for (let chunkStart = firstRow; chunkStart <= lastRow; chunkStart += chunkSize) {
+        const chunkEnd = Math.min(chunkStart + chunkSize - 1, lastRow);
+        const ranges = letters.map((letter) => `${letter}${chunkStart}:${letter}${chunkEnd}`);
+
+        if (delayMs > 0) {
+            await wait(delayMs);
+        }
+        await loadCellsWithRetry(sheet, ranges, {
+            backoffMs,
+            label: `rows ${chunkStart}-${chunkEnd}`,
+        });
+        reads += 1;
+        console.log(`📥 Loaded rows ${chunkStart}-${chunkEnd} (${letters.join(', ')})`);
+    }
+
+    return reads;
+}
+
+module.exports = { loadCellsWithRetry, loadColumnRange };
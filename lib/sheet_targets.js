@@ -0,0 +1,50 @@
+/**
+ * Picks the tabs to process from a spreadsheet's tab titles.
+ * Explicit tab names are kept in the order given; pattern matches follow in sheet order.
+ * @param {string[]} titles - Tab titles in the spreadsheet
+ * @param {Object} selection
+ * @param {string[]} [selection.tabs] - Exact tab names
+ * @param {string|null} [selection.pattern] - Regular expression matched against titles
+ * @returns {{matched: string[], missing: string[]}} Tabs to process and named tabs not found
+ */
+const selectSheetTabs = (titles, { tabs = [], pattern = null } = {}) => {
+    const matched = tabs.filter((tab) => titles.includes(tab));
+    const missing = tabs.filter((tab) => !titles.includes(tab));
+
+    if (pattern) {
+        const regex = new RegExp(pattern, 'i');
+        for (const title of titles) {
+            if (regex.test(title) && !matched.includes(title)) {
+                matched.push(title);
+            }
+        }
+    }
+
+    return { matched, missing };
+};
+
+/**
+ * Returns the tab with the given title, creating it with a header row if needed.
+ * An existing tab with an empty first row gets the headers too.
+ * @param {Object} doc - GoogleSpreadsheet with info loaded
+ * @param {string} title
+ * @param {string[]} headerValues
+ * @param {Object} [properties] - Extra properties for a new tab, e.g. { hidden: true }
+ * @returns {Promise<Object>} GoogleSpreadsheetWorksheet ready for addRows
+ */
+async function getOrCreateTab(doc, title, headerValues, properties = {}) {
+    const sheet = doc.sheetsByTitle[title];
+    if (!sheet) {
+        console.log(`🆕 Creating "${title}" tab in "${doc.title}"`);
+        return doc.addSheet({ title, headerValues, ...properties });
+    }
+    try {
+        await sheet.loadHeaderRow();
+    } catch {
+        // Empty tab: give it our headers so rows can be appended
+        await sheet.setHeaderRow(headerValues);
+    }
+    return sheet;
+}
+
+module.exports = { selectSheetTabs, getOrCreateTab };
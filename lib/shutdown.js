@@ -0,0 +1,61 @@
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * Turns the first SIGINT/SIGTERM into a stop request, so a run can finish the
+ * current row, save and print its summary before exiting. A second signal
+ * exits immediately, without saving.
+ * @param {Object} [options]
+ * @param {string[]} [options.signals] - Default: SIGINT and SIGTERM
+ * @returns {{requested: boolean, signal: string|null, sleep: Function, dispose: Function}}
+ *   sleep(ms) waits ms, or less when a stop is requested meanwhile;
+ *   dispose() removes the signal handlers
+ */
+function createShutdown({ signals = SHUTDOWN_SIGNALS } = {}) {
+    let requested = false;
+    let signal = null;
+    let wakeSleepers;
+    const stopRequested = new Promise((resolve) => {
+        wakeSleepers = resolve;
+    });
+
+    const onSignal = (received) => {
+        if (requested) {
+            console.warn(`\n⛔ ${received} again. Exiting without saving.`);
+            process.exit(130);
+            return;
+        }
+        requested = true;
+        signal = received;
+        console.warn(
+            `\n🛑 ${received} received. Stopping after the current row (press Ctrl+C again to quit now)...`
+        );
+        wakeSleepers();
+    };
+    signals.forEach((name) => process.on(name, onSignal));
+
+    return {
+        get requested() {
+            return requested;
+        },
+
+        get signal() {
+            return signal;
+        },
+
+        sleep(ms) {
+            return new Promise((resolve) => {
+                const timer = setTimeout(resolve, ms);
+                stopRequested.then(() => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        },
+
+        dispose() {
+            signals.forEach((name) => process.removeListener(name, onSignal));
+        },
+    };
+}
+
+module.exports = { SHUTDOWN_SIGNALS, createShutdown };
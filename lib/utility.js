@@ -61,8 +61,47 @@ const determineProcessingRange = (startRowEnv, endRowEnv, totalRows) => {
     };
 };
 
+/**
+ * Splits a comma-separated setting into trimmed, non-empty entries.
+ * @param {string|undefined} value - e.g. process.env.SHEET_TAB
+ * @returns {string[]}
+ */
+const splitList = (value) =>
+    String(value || '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+/**
+ * Escapes a value for CSV output.
+ * @param {string|number|null|undefined} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const stringValue = String(value);
+    if (/[",\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Formats a date as "YYYY-MM-DD HH:mm:ss" (local time), which Sheets reads as a date.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatTimestamp = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
 module.exports = {
     getColLetter,
     isMatch,
     determineProcessingRange,
+    splitList,
+    escapeCsvValue,
+    formatTimestamp,
 };
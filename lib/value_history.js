@@ -0,0 +1,51 @@
+const { formatTimestamp } = require('./utility');
+const { getOrCreateTab } = require('./sheet_targets');
+
+const DEFAULT_VALUE_HISTORY_TAB = 'Value History';
+
+const VALUE_HISTORY_HEADERS = [
+    'Date',
+    'Cert',
+    'CL Raw Value',
+    'Higher Value',
+    'Confidence',
+    'Source',
+    'Tab',
+];
+
+/**
+ * Builds one Value History row from a CL lookup.
+ * @param {Date} date - Run start, so one run's snapshots share a date
+ * @param {string} cert
+ * @param {{raw: number, higher: number, confidence: number, source: string}} clResult - From processRow
+ * @param {string} tab - Sheet tab the cert was read from
+ * @returns {Array<string|number>} Row matching VALUE_HISTORY_HEADERS
+ */
+const buildHistoryRow = (date, cert, { raw, higher, confidence, source }, tab) => [
+    formatTimestamp(date),
+    cert,
+    raw,
+    higher,
+    confidence || '',
+    source || 'CL',
+    tab,
+];
+
+/**
+ * Appends price snapshots to the Value History tab, creating it if needed.
+ * @param {Object} doc - GoogleSpreadsheet with info loaded
+ * @param {Array<Array<string|number>>} rows - From buildHistoryRow
+ * @param {string} [tabTitle]
+ */
+async function appendValueHistory(doc, rows, tabTitle = DEFAULT_VALUE_HISTORY_TAB) {
+    if (rows.length === 0) return;
+    const sheet = await getOrCreateTab(doc, tabTitle, VALUE_HISTORY_HEADERS);
+    await sheet.addRows(rows);
+}
+
+module.exports = {
+    DEFAULT_VALUE_HISTORY_TAB,
+    VALUE_HISTORY_HEADERS,
+    buildHistoryRow,
+    appendValueHistory,
+};
@@ -0,0 +1,92 @@
+const DEFAULT_WATCH_INTERVAL_MS = 60000;
+
+// Fields each WRITE_MODE fills; a row with a cert and any of these blank still needs work
+const WATCH_FIELDS = {
+    BOTH: ['name', 'number', 'grade', 'value', 'confidence'],
+    PSA: ['name', 'number', 'grade'],
+    CL: ['value', 'confidence'],
+    CONFIDENCE: ['confidence'],
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Tells whether a row has a cert but is missing a field WRITE_MODE would fill.
+ * Fields whose column is not in the sheet are ignored.
+ * @param {Function} getValue - (header) => cell value of the row
+ * @param {Object} columns - Result of resolveColumns
+ * @param {string} writeMode
+ * @returns {boolean}
+ */
+const isRowIncomplete = (getValue, columns, writeMode) => {
+    if (isBlank(getValue(columns.cert.header))) return false;
+    return (WATCH_FIELDS[writeMode] || WATCH_FIELDS.BOTH).some(
+        (field) => columns[field]?.header && isBlank(getValue(columns[field].header))
+    );
+};
+
+/**
+ * Remembers which cert each row was last processed with, so a row that stays
+ * incomplete (e.g. PSA has no details) is not looked up again on every poll.
+ * The row is picked up again when its cert changes.
+ * @returns {{record: Function, isNew: Function}}
+ */
+function createWatchTracker() {
+    const seen = new Map();
+    const keyOf = (sheetKey, row) => `${sheetKey}:${row}`;
+
+    return {
+        /**
+         * @param {string} sheetKey - Spreadsheet and tab, e.g. from getCheckpointKey
+         * @param {Array<{cert: string, row: number}>} certRows - Rows that were processed
+         */
+        record(sheetKey, certRows) {
+            for (const { cert, row } of certRows) {
+                seen.set(keyOf(sheetKey, row), String(cert).trim());
+            }
+        },
+
+        /**
+         * @param {string} sheetKey
+         * @param {number} row
+         * @param {string} cert
+         * @returns {boolean} true unless the row was already processed with this cert
+         */
+        isNew(sheetKey, row, cert) {
+            return seen.get(keyOf(sheetKey, row)) !== String(cert).trim();
+        },
+    };
+}
+
+/**
+ * Calls poll every intervalMs until shouldStop returns true. A failing poll
+ * (e.g. a network error) is logged and the next one runs as usual.
+ * @param {Function} poll - async () => void
+ * @param {Object} options
+ * @param {number} options.intervalMs - Pause before each poll
+ * @param {Function} [options.shouldStop] - () => boolean, checked around every pause
+ * @param {Function} [options.sleep] - async (ms) => void, e.g. a shutdown's sleep that ends early on Ctrl+C
+ */
+async function pollUntilStopped(
+    poll,
+    { intervalMs, shouldStop = () => false, sleep = (ms) => new Promise((r) => setTimeout(r, ms)) }
+) {
+    while (!shouldStop()) {
+        await sleep(intervalMs);
+        if (shouldStop()) break;
+
+        try {
+            await poll();
+        } catch (e) {
+            console.warn('⚠️ Watch poll failed, trying again next interval:', e?.message || e);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_WATCH_INTERVAL_MS,
+    WATCH_FIELDS,
+    isRowIncomplete,
+    createWatchTracker,
+    pollUntilStopped,
+};
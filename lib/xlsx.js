@@ -0,0 +1,136 @@
+const ExcelJS = require('exceljs');
+const { ERROR_COLOR } = require('./cell_writes');
+const { resolveColumns } = require('./columns');
+
+const toHex = (channel) =>
+    Math.round(channel * 255)
+        .toString(16)
+        .padStart(2, '0')
+        .toUpperCase();
+
+// Same light red as the sheet flow, as an Excel ARGB color
+const ERROR_ARGB = `FF${toHex(ERROR_COLOR.red)}${toHex(ERROR_COLOR.green)}${toHex(ERROR_COLOR.blue)}`;
+
+const ERROR_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: ERROR_ARGB } };
+
+/**
+ * Turns an ExcelJS cell value into the text the CSV flow works with.
+ * Formulas give their last result, dates give YYYY-MM-DD.
+ * @param {*} value - cell.value
+ * @returns {string}
+ */
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map((run) => run.text).join('');
+        if ('result' in value) return cellText(value.result);
+        if ('text' in value) return cellText(value.text);
+        if ('error' in value) return String(value.error);
+    }
+    return String(value);
+};
+
+// Numbers read back from CSV-style text are stored as numbers again ("0123" stays text)
+const toCellValue = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+};
+
+const isErrorFill = (cell) =>
+    cell.fill?.type === 'pattern' && cell.fill.fgColor?.argb?.toUpperCase() === ERROR_ARGB;
+
+const readRecords = (worksheet) => {
+    const records = [];
+    for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        const values = [];
+        for (let col = 1; col <= worksheet.columnCount; col++) {
+            values.push(cellText(row.getCell(col).value));
+        }
+        records.push(values);
+    }
+    return records;
+};
+
+/**
+ * Opens a workbook and picks the first worksheet that has a cert column header.
+ * @param {string} filePath
+ * @param {Object} [columnAliases] - From loadColumnConfig
+ * @returns {Promise<{workbook: Object, worksheet: Object|null, records: string[][]}>}
+ *   records[i] holds the text of worksheet row i + 1; worksheet is null when no
+ *   sheet has a cert column
+ */
+async function readXlsx(filePath, columnAliases) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    for (const worksheet of workbook.worksheets) {
+        const records = readRecords(worksheet);
+        const hasHeader = records.some(
+            (values) => resolveColumns(values, columnAliases).cert.index !== -1
+        );
+        if (hasHeader) return { workbook, worksheet, records };
+    }
+    return { workbook, worksheet: null, records: [] };
+}
+
+/**
+ * Lists, for each row, the columns an earlier run marked red.
+ * @param {Object} worksheet
+ * @param {number} firstRow - Row number of records[0]
+ * @param {string[][]} records
+ * @returns {Map<string[], number[]>} Record -> zero-based column indexes
+ */
+const readErrorColumns = (worksheet, firstRow, records) => {
+    const errorColumns = new Map();
+    records.forEach((values, offset) => {
+        const row = worksheet.getRow(firstRow + offset);
+        const marked = values
+            .map((_, index) => index)
+            .filter((index) => isErrorFill(row.getCell(index + 1)));
+        if (marked.length > 0) errorColumns.set(values, marked);
+    });
+    return errorColumns;
+};
+
+/**
+ * Writes rows back into the worksheet they were read from, so every other cell
+ * keeps its value, formula and formatting. Only cells whose text changed are set.
+ * @param {Object} workbook
+ * @param {Object} worksheet
+ * @param {string} filePath - Where close() saves the workbook
+ * @returns {{write: Function, close: Function, destroy: Function}}
+ *   write(values, {rowNumber, errorColumns}) updates worksheet row rowNumber and
+ *   fills the zero-based errorColumns red
+ */
+function createXlsxWriter(workbook, worksheet, filePath) {
+    return {
+        write(values, { rowNumber, errorColumns = [] } = {}) {
+            const row = worksheet.getRow(rowNumber);
+            values.forEach((value, index) => {
+                const cell = row.getCell(index + 1);
+                if (cellText(cell.value) !== String(value ?? '')) {
+                    cell.value = toCellValue(value);
+                }
+            });
+            for (const index of errorColumns) {
+                row.getCell(index + 1).fill = ERROR_FILL;
+            }
+        },
+
+        async close() {
+            await workbook.xlsx.writeFile(filePath);
+        },
+
+        destroy() {},
+    };
+}
+
+module.exports = {
+    ERROR_FILL,
+    cellText,
+    readXlsx,
+    readErrorColumns,
+    createXlsxWriter,
+};
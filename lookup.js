@@ -0,0 +1,76 @@
+require('dotenv').config();
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const AuthService = require('./lib/services/auth_service');
+const PsaService = require('./lib/services/psa_service');
+const { getCLValue } = require('./lib/services/cl_service');
+
+puppeteer.use(StealthPlugin());
+
+/**
+ * Looks up certs on PSA and Card Ladder and prints the results. Nothing is written.
+ * @param {string[]} certs
+ */
+async function main(certs = process.argv.slice(2)) {
+    if (certs.length === 0) {
+        console.error('❌ Usage: node cli.js lookup <cert> [cert...]');
+        process.exit(1);
+    }
+
+    console.log('🌍 Launching Browser...');
+    const browser = await puppeteer.launch({
+        headless: false,
+        defaultViewport: null,
+        userDataDir: './user_data',
+        args: ['--start-maximized'],
+    });
+
+    const page = await browser.newPage();
+    const authService = new AuthService(process.env.CL_USER, process.env.CL_PASS);
+    const loggedIn = await authService.login(page);
+
+    if (!loggedIn) {
+        console.error('❌ Failed to login or no credentials provided. Exiting.');
+        await browser.close();
+        process.exit(1);
+    }
+
+    const psaService = new PsaService(process.env.PSA_API_KEY, browser);
+
+    const results = [];
+    let lastScrapedValue = null;
+    for (const cert of certs) {
+        console.log(`\n🔎 Looking up ${cert}...`);
+        const psaData = await psaService.getDetails(cert);
+        const clResult = await getCLValue(
+            page,
+            cert,
+            lastScrapedValue,
+            false,
+            process.env.CL_API_KEY || null
+        );
+        if (clResult && clResult.raw > 0) lastScrapedValue = clResult.raw;
+
+        results.push({
+            Cert: cert,
+            Name: psaData?.name ?? '',
+            Number: psaData?.number ?? '',
+            Grade: psaData?.grade ?? '',
+            'PSA Source': psaData?.source ?? 'Not found',
+            'CL Raw': clResult?.raw ?? '',
+            'CL Higher': clResult?.higher ?? '',
+            Confidence: clResult?.confidence ?? '',
+            'CL Source': clResult ? clResult.source || 'CL' : 'Not found',
+        });
+    }
+
+    console.log('\n🏁 Lookup Complete!');
+    console.table(results);
+    await browser.close();
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { main };
@@ -1,69 +1,208 @@
 require('dotenv').config();
 const fs = require('fs');
-const readline = require('readline');
+const path = require('path');
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const AuthService = require('./lib/services/auth_service');
 const PsaService = require('./lib/services/psa_service');
 const { getCLValue } = require('./lib/services/cl_service');
 const { processRow } = require('./lib/rowprocessor');
+const {
+    loadColumnConfig,
+    resolveColumns,
+    getRequiredFields,
+    findMissingColumns,
+} = require('./lib/columns');
+const { escapeCsvValue } = require('./lib/utility');
+const {
+    createCsvParser,
+    parseCsvLine,
+    detectCsvFormat,
+    readCsvRecords,
+    createCsvWriter,
+} = require('./lib/csv');
+const { readXlsx, createXlsxWriter } = require('./lib/xlsx');
+const { planCellWrites } = require('./lib/cell_writes');
+const { STATUS_HEADERS, describeRowStatus } = require('./lib/row_status');
+const { timeLookups, buildResultRecord, openResultsExport } = require('./lib/results_export');
+const { compileRowFilter } = require('./lib/row_filter');
+const { createLookupCache, findDuplicateCerts } = require('./lib/lookup_cache');
+const { createMismatchPolicy } = require('./lib/mismatch_policy');
+const { createShutdown } = require('./lib/shutdown');
+const { PARTIAL_SUFFIX, readPreviousOutput, createCsvResume } = require('./lib/csv_resume');
+const { findInputFiles } = require('./lib/input_files');
 
 puppeteer.use(StealthPlugin());
 
 /**
- * Parses a CSV line into an array of values, handling quotes.
- * @param {string} text
- * @returns {string[]}
+ * Names the filled copy: <name>_filled with the input's extension (any case),
+ * or .csv when the input has none.
+ * @param {string} inputFilename
+ * @returns {string}
  */
-function parseCsvLine(text) {
-    const result = [];
-    let cell = '';
-    let quote = false;
-    for (let i = 0; i < text.length; i++) {
-        const char = text[i];
-        if (char === '"') {
-            quote = !quote;
-        } else if (char === ',' && !quote) {
-            result.push(cell);
-            cell = '';
-        } else {
-            cell += char;
-        }
+const getOutputFilename = (inputFilename) => {
+    const { dir, name, ext } = path.parse(inputFilename);
+    return path.join(dir, `${name}_filled${ext || '.csv'}`);
+};
+
+/**
+ * Checks one input file and reads what is needed before the browser starts: the
+ * output path, the CSV delimiter and encoding, an earlier run's output and, for
+ * .xlsx, the workbook.
+ * @param {string} inputFilename
+ * @param {Object} options
+ * @param {Object} [options.columnAliases] - From loadColumnConfig
+ * @param {string} [options.outputFile] - OUTPUT_FILE
+ * @param {boolean} options.retryNoComps
+ * @returns {Promise<Object>} Target for processFile
+ * @throws {Error} When the file cannot be processed
+ */
+async function prepareFile(inputFilename, { columnAliases, outputFile, retryNoComps }) {
+    const isXlsx = /\.xlsx$/i.test(inputFilename);
+    const outputFilename = outputFile || getOutputFilename(inputFilename);
+    if (path.resolve(outputFilename) === path.resolve(inputFilename)) {
+        throw new Error('OUTPUT_FILE must not be the input file.');
+    }
+    if (/\.xlsx$/i.test(outputFilename) !== isXlsx) {
+        throw new Error(
+            `OUTPUT_FILE must be ${isXlsx ? 'an .xlsx' : 'a CSV'} file like the input: ${outputFilename}`
+        );
+    }
+
+    // Delimiter and encoding are detected unless CSV_DELIMITER / CSV_ENCODING are set
+    const csvFormat = isXlsx
+        ? null
+        : detectCsvFormat(inputFilename, {
+              delimiter: process.env.CSV_DELIMITER,
+              encoding: process.env.CSV_ENCODING,
+          });
+
+    console.log(`📂 Input: ${inputFilename}`);
+    console.log(`📂 Output: ${outputFilename}`);
+    if (csvFormat) {
+        const delimiterName = csvFormat.delimiter === '\t' ? 'tab' : `"${csvFormat.delimiter}"`;
+        console.log(`🔤 Encoding: ${csvFormat.encoding} | Delimiter: ${delimiterName}`);
+    }
+
+    // An earlier run's output is read back so its rows are kept rather than looked up again
+    const previousOutput = await readPreviousOutput(outputFilename, columnAliases, csvFormat);
+    // Workbooks are read whole; the filled copy is the input workbook with cells updated
+    const xlsxInput = isXlsx ? await readXlsx(inputFilename, columnAliases) : null;
+    if (xlsxInput && !xlsxInput.worksheet) {
+        throw new Error(`No worksheet in ${inputFilename} has a cert column header.`);
     }
-    result.push(cell);
-    return result;
+    if (previousOutput?.fromPartial > 0) {
+        console.log(
+            `🩹 Recovered ${previousOutput.fromPartial} rows from ${outputFilename}${PARTIAL_SUFFIX}, left by an interrupted run`
+        );
+    }
+    if (previousOutput) {
+        console.log(
+            `🔁 Resuming: ${previousOutput.rows.length} rows already in ${outputFilename}${retryNoComps ? ' ("No comps" and empty results are retried)' : ''}`
+        );
+    }
+    return { inputFilename, outputFilename, csvFormat, previousOutput, xlsxInput };
 }
 
 /**
- * Escapes a value for CSV output.
- * @param {string|number|null|undefined} value
- * @returns {string}
+ * Prints one row per file, then the totals of the batch.
+ * @param {Object[]} summaries - processFile summaries
+ * @param {string[]} notStarted - Files left when the run was stopped
  */
-function escapeCsvValue(value) {
-    if (value === null || value === undefined) return '';
-    const stringValue = String(value);
-    if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+function printFileSummaries(summaries, notStarted) {
+    console.table(
+        summaries.map((summary) => ({
+            File: summary.inputFilename,
+            Output: summary.outputFilename,
+            Status: summary.status,
+            Processed: summary.processedCount,
+            Kept: summary.reused,
+            Retried: summary.retried,
+            Errors: summary.errorCount,
+            Mismatches: summary.mismatches.length,
+            Corrected: summary.corrections.length,
+            'Duplicate Certs': summary.duplicateCerts.length,
+        }))
+    );
+    const total = (key) => summaries.reduce((sum, summary) => sum + summary[key], 0);
+    const failed = summaries.filter((summary) => summary.status === 'Failed').length;
+    console.log(
+        `📊 ${summaries.length} files: ${total('processedCount')} rows processed, ${total('reused')} kept from earlier runs, ${total('errorCount')} errors${failed > 0 ? `, ${failed} failed` : ''}`
+    );
+    if (notStarted.length > 0) {
+        console.log(`⏭️ Not started: ${notStarted.join(', ')}`);
     }
-    return stringValue;
 }
 
-async function main() {
-    const inputFilename = process.argv[2];
-    if (!inputFilename) {
-        console.error('❌ Usage: node process_csv.js <input_file.csv>');
+/**
+ * Fills CSV files into <input>_filled.csv, or Excel workbooks into <input>_filled.xlsx
+ * (OUTPUT_FILE picks another path for a single file). Several files, directories or
+ * globs are processed one after another with one browser session and lookup cache.
+ * @param {string|string[]} [inputs] - Defaults to the command-line arguments
+ */
+async function main(inputs = process.argv.slice(2)) {
+    const args = [].concat(inputs).filter(Boolean);
+    if (args.length === 0) {
+        console.error(
+            '❌ Usage: node cli.js csv <input_file.csv|directory|"glob">... (or node process_csv.js <input_file.csv>)'
+        );
+        process.exit(1);
+    }
+
+    let inputFilenames;
+    try {
+        inputFilenames = findInputFiles(args);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+    if (inputFilenames.length > 1 && process.env.OUTPUT_FILE) {
+        console.error('❌ OUTPUT_FILE works with a single input file, not a batch.');
+        process.exit(1);
+    }
+
+    let columnAliases;
+    try {
+        columnAliases = loadColumnConfig(process.env.COLUMN_CONFIG);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
         process.exit(1);
     }
 
-    if (!fs.existsSync(inputFilename)) {
-        console.error(`❌ Input file not found: ${inputFilename}`);
+    let mismatchPolicy;
+    try {
+        mismatchPolicy = createMismatchPolicy({
+            tolerance: process.env.MISMATCH_TOLERANCE,
+            threshold: process.env.MISMATCH_THRESHOLD,
+            action: process.env.MISMATCH_ACTION,
+        });
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
         process.exit(1);
     }
 
-    const outputFilename = inputFilename.replace('.csv', '_filled.csv');
     console.log(`🚀 Starting CSV Processing...`);
-    console.log(`📂 Input: ${inputFilename}`);
-    console.log(`📂 Output: ${outputFilename}`);
+    if (inputFilenames.length > 1) {
+        console.log(`📚 ${inputFilenames.length} files: ${inputFilenames.join(', ')}`);
+    }
+
+    // Every file is checked before the browser starts, so a bad one fails fast
+    const RETRY_NO_COMPS = (process.env.RETRY_NO_COMPS || 'false').toLowerCase() === 'true';
+    const targets = [];
+    try {
+        for (const inputFilename of inputFilenames) {
+            targets.push(
+                await prepareFile(inputFilename, {
+                    columnAliases,
+                    outputFile: process.env.OUTPUT_FILE,
+                    retryNoComps: RETRY_NO_COMPS,
+                })
+            );
+        }
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
 
     // --- 1. Launch Browser & Login ---
     console.log('🌍 Launching Browser...');
@@ -86,62 +225,235 @@ async function main() {
 
     // --- 2. Setup Services ---
     const psaService = new PsaService(process.env.PSA_API_KEY, browser);
+    // Each cert is looked up once per run, across all files; repeats reuse the first result
+    const lookupCache = createLookupCache(psaService, getCLValue);
+
+    // Same options as the sheet flow (env vars, or flags via cli.js)
+    const WRITE_MODE = process.env.WRITE_MODE || 'BOTH';
+    const CL_VALUE_CHOICE = process.env.CL_VALUE_CHOICE || 'RAW';
+    const SKIP_CL_CHECK = (process.env.SKIP_CL_CHECK || 'false').toLowerCase() === 'true';
+    const FORCE_CL_OVERWRITE = (process.env.FORCE_CL_OVERWRITE || 'false').toLowerCase() === 'true';
+    const FORCE_CONFIDENCE_OVERWRITE =
+        (process.env.FORCE_CONFIDENCE_OVERWRITE || 'false').toLowerCase() === 'true';
+    const FORCE_GRADE_OVERWRITE =
+        (process.env.FORCE_GRADE_OVERWRITE || 'false').toLowerCase() === 'true';
+    // Lookup Status / Value Source / Error columns, in place of the sheet's red cells
+    const STATUS_COLUMNS = (process.env.STATUS_COLUMNS || 'false').toLowerCase() === 'true';
+    // Optional NDJSON file with one line per processed row (RESULTS_FILE)
+    const resultsExport = openResultsExport(process.env.RESULTS_FILE);
+    console.log(`📝 Write Mode: ${WRITE_MODE} | Value Choice: ${CL_VALUE_CHOICE}`);
+
+    // Ctrl+C / SIGTERM stop after the current row; the output keeps every row written so far
+    const shutdown = createShutdown();
+
+    // CL page state carries over between files, so the stale-check state does too
+    const context = {
+        page,
+        lookupCache,
+        state: {
+            lastScrapedValue: null,
+            lastPsaDetails: null,
+        },
+        settings: {
+            WRITE_MODE,
+            CL_VALUE_CHOICE,
+            SKIP_CL_CHECK,
+            FORCE_CL_OVERWRITE,
+            FORCE_CONFIDENCE_OVERWRITE,
+            FORCE_GRADE_OVERWRITE,
+            STATUS_COLUMNS,
+            RETRY_NO_COMPS,
+            columnAliases,
+            mismatchPolicy,
+        },
+        shutdown,
+        resultsExport,
+    };
+
+    const summaries = [];
+    for (const [index, target] of targets.entries()) {
+        if (shutdown.requested) break;
+        if (targets.length > 1) {
+            console.log(
+                `\n📄 File ${index + 1}/${targets.length}: ${target.inputFilename} -> ${target.outputFilename}`
+            );
+        }
+        try {
+            summaries.push(await processFile(target, context));
+        } catch (e) {
+            // The file's earlier output is left as it was; the other files still run
+            console.error(`❌ ${e.message}`);
+            summaries.push({
+                ...target,
+                status: 'Failed',
+                processedCount: 0,
+                reused: 0,
+                retried: 0,
+                errorCount: 0,
+                mismatches: [],
+                corrections: [],
+                duplicateCerts: [],
+            });
+        }
+    }
 
-    // Config -- ONLY TOUCH IF YOU KNOW WHAT YOU ARE DOING
-    const WRITE_MODE = 'BOTH';
-    const CL_VALUE_CHOICE = 'RAW';
-    const SKIP_CL_CHECK = false;
-    const FORCE_CL_OVERWRITE = false;
-    const FORCE_CONFIDENCE_OVERWRITE = false;
-    const FORCE_GRADE_OVERWRITE = false;
+    if (targets.length > 1) {
+        console.log('\n\n🏁 Batch summary:');
+        printFileSummaries(
+            summaries,
+            targets.slice(summaries.length).map((target) => target.inputFilename)
+        );
+        if (lookupCache.hits > 0) {
+            console.log(`♻️ ${lookupCache.hits} repeated certs reused an earlier lookup`);
+        }
+    }
+    if (resultsExport) {
+        console.log(`🧾 Wrote ${resultsExport.count} row results to ${resultsExport.filePath}`);
+    }
+    await browser.close();
+    shutdown.dispose();
+    if (shutdown.requested) {
+        process.exitCode = 130;
+    } else if (summaries.some((summary) => summary.status === 'Failed')) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Fills one CSV or .xlsx file into its output.
+ * @param {Object} target - From prepareFile
+ * @param {Object} context - Shared browser page, lookup cache, settings and stale-check state
+ * @returns {Promise<Object>} Summary of the file
+ * @throws {Error} When the file cannot be processed (its earlier output is left as it was)
+ */
+async function processFile(target, context) {
+    const { inputFilename, outputFilename, csvFormat, previousOutput, xlsxInput } = target;
+    const { page, lookupCache, state, settings, shutdown, resultsExport } = context;
+    const {
+        WRITE_MODE,
+        CL_VALUE_CHOICE,
+        SKIP_CL_CHECK,
+        FORCE_CL_OVERWRITE,
+        FORCE_CONFIDENCE_OVERWRITE,
+        FORCE_GRADE_OVERWRITE,
+        STATUS_COLUMNS,
+        RETRY_NO_COMPS,
+        columnAliases,
+        mismatchPolicy,
+    } = settings;
+    const hitsBefore = lookupCache.hits;
 
     // --- 3. Read & Process CSV ---
-    // Read input file line by line
-    const fileStream = fs.createReadStream(inputFilename);
-    const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity,
-    });
+    // Stream CSV records (quoted fields may span lines, see lib/csv.js)
+    const parser = createCsvParser({ delimiter: csvFormat?.delimiter });
+    const records = xlsxInput
+        ? xlsxInput.records
+        : readCsvRecords(fs.createReadStream(inputFilename), parser, csvFormat.encoding);
 
     let headers = [];
-    let headerMap = {};
+    let columns = {};
+    let fieldColumns = {}; // Field -> column, or null when missing (for planCellWrites)
+    let rowFilter = null;
     let headersFound = false;
     let processedCount = 0;
+    let errorCount = 0;
+    const certRows = [];
+    const mismatches = [];
+    const corrections = [];
+
+    let resume = null;
+
+    // The output is rebuilt next to the old one and swapped in at the end, so a
+    // crash mid-run leaves the earlier output untouched. CSV rows are on disk as soon
+    // as they are written, and the next run resumes from the .partial file.
+    // CSV output keeps the input's encoding, BOM, delimiter and line endings;
+    // .xlsx output keeps its formatting
+    const partialFilename = `${outputFilename}${PARTIAL_SUFFIX}`;
+    fs.mkdirSync(path.dirname(outputFilename), { recursive: true });
+    const output = xlsxInput
+        ? createXlsxWriter(xlsxInput.workbook, xlsxInput.worksheet, partialFilename)
+        : createCsvWriter(partialFilename, parser, csvFormat.encoding);
+    // Ends a run that did not get past the header row. Rows recovered from an earlier
+    // .partial (now being overwritten) are written out rather than lost.
+    const finishBeforeHeader = () => {
+        if (previousOutput?.fromPartial > 0) {
+            writeRecord(previousOutput.headers);
+            previousOutput.rows.forEach((row) => writeRecord(row));
+            output.destroy();
+            fs.renameSync(partialFilename, outputFilename);
+        } else {
+            // Nothing to replace the earlier output with
+            output.destroy();
+            fs.rmSync(partialFilename, { force: true });
+        }
+    };
+    const abort = (message) => {
+        finishBeforeHeader();
+        throw new Error(message);
+    };
 
-    const outputFileExists = fs.existsSync(outputFilename);
-    const outputStream = fs.createWriteStream(outputFilename, { flags: 'a' });
+    let recordNumber = 0; // Worksheet row of the current record (.xlsx)
+    const writeRecord = (values, errorColumns) =>
+        output.write(values, { rowNumber: recordNumber, errorColumns });
 
-    let lastScrapedValue = null;
-    let lastPsaDetails = null;
     let prevRowData = {}; // Store previous row for "Same Card" logic
 
-    for await (const line of rl) {
-        // Parse line immediately to check content
-        const values = parseCsvLine(line);
+    for await (const values of records) {
+        if (shutdown.requested) break;
+        recordNumber++;
 
         if (!headersFound) {
             // Check if this line is the header
-            if (values.includes('Certification Number')) {
+            const lineColumns = resolveColumns(values, columnAliases);
+            if (lineColumns.cert.index !== -1) {
                 headers = values;
-                headers.forEach((h, i) => {
-                    headerMap[h.trim()] = i;
-                });
+                columns = lineColumns;
+                fieldColumns = Object.fromEntries(
+                    Object.entries(columns).map(([field, column]) => [
+                        field,
+                        column.index !== -1 ? column : null,
+                    ])
+                );
                 headersFound = true;
+                if (STATUS_COLUMNS) {
+                    for (const title of Object.values(STATUS_HEADERS)) {
+                        if (!headers.includes(title)) headers.push(title);
+                    }
+                }
                 console.log('✅ Headers found:', headers);
 
-                // Write headers if new file
-                if (!outputFileExists) {
-                    outputStream.write(headers.map(escapeCsvValue).join(',') + '\n');
+                // Same required columns as index.js, e.g. no CL value column for WRITE_MODE=CL
+                const missingColumns = findMissingColumns(
+                    columns,
+                    getRequiredFields(WRITE_MODE),
+                    columnAliases
+                );
+                if (missingColumns.length > 0) {
+                    abort(`${missingColumns.join('; ')} in ${inputFilename}`);
                 }
-            } else {
-                // Not a header row, and we haven't found headers yet.
-                // If it's a pre-header row (like the empty one), just preserve it?
-                // Or if we are appending to an existing file, we might assume the file structure matches.
-                // If output file exists, we probably don't need to write pre-header garbage if it's already there?
-                // EXCEPT: If we are creating a NEW file, we must replicate the structure.
-                if (!outputFileExists) {
-                    outputStream.write(values.map(escapeCsvValue).join(',') + '\n');
+
+                // Optional ROW_FILTER, same syntax as index.js
+                try {
+                    rowFilter = compileRowFilter(process.env.ROW_FILTER, headers);
+                } catch (e) {
+                    abort(e.message);
+                }
+
+                try {
+                    resume = createCsvResume(previousOutput, {
+                        headers,
+                        columns,
+                        writeMode: WRITE_MODE,
+                        retryNoComps: RETRY_NO_COMPS,
+                    });
+                } catch (e) {
+                    abort(`${e.message}: ${outputFilename}. Move or delete it to start over.`);
                 }
+
+                writeRecord(headers);
+            } else {
+                // Pre-header rows (like an empty first line) are copied as they are
+                writeRecord(values);
             }
             continue;
         }
@@ -152,44 +464,66 @@ async function main() {
             values.push('');
         }
 
-        // Helper to get/set value by header name
-        const getVal = (header) => {
-            const idx = headerMap[header];
-            if (idx === undefined || idx < 0) return null;
+        const earlier = resume.next(values);
+        if (earlier) {
+            // Filled by an earlier run
+            writeRecord(earlier, previousOutput.errorColumns.get(earlier));
+            continue;
+        }
+
+        // Helper to get/set value by logical field (see lib/columns.js)
+        const getVal = (field) => {
+            const idx = columns[field] ? columns[field].index : -1;
+            if (idx < 0) return null;
             return values[idx];
         };
 
-        const setVal = (header, val) => {
-            const idx = headerMap[header];
-            if (idx !== undefined && idx >= 0) {
+        const setVal = (field, val) => {
+            const idx = columns[field] ? columns[field].index : -1;
+            if (idx >= 0) {
                 values[idx] = val;
             }
         };
 
-        const cert = getVal('Certification Number');
+        const setStatus = (rowStatus) => {
+            if (!STATUS_COLUMNS) return;
+            for (const [key, title] of Object.entries(STATUS_HEADERS)) {
+                values[headers.indexOf(title)] = rowStatus[key] || '';
+            }
+        };
+
+        const cert = getVal('cert');
         if (!cert) {
             // Empty row or no cert, just write it as is
-            outputStream.write(values.map(escapeCsvValue).join(',') + '\n');
+            writeRecord(values);
+            continue;
+        }
+
+        if (rowFilter && !rowFilter((index) => values[index])) {
+            // Not selected by ROW_FILTER, keep the row unchanged
+            setStatus({ status: 'Skipped (ROW_FILTER)' });
+            writeRecord(values);
             continue;
         }
 
         const rowNumber = processedCount + 2; // Approximate row number
 
         console.log(`\nProcessing Row ${rowNumber} | Cert: ${cert}`);
+        certRows.push({ cert, row: rowNumber });
 
         const rowData = {
             cert,
-            currentVal: getVal('CL Market Value'),
-            currentName: getVal('Card Name'),
-            currentNumber: getVal('Card Number'),
-            currentGrade: getVal('Grade'),
+            currentVal: getVal('value'),
+            currentName: getVal('name'),
+            currentNumber: getVal('number'),
+            currentGrade: getVal('grade'),
             prevRowData, // Pass previous row details
         };
 
         // Services wrapper
         const services = {
-            psaService,
-            getCLValue,
+            psaService: lookupCache.psaService,
+            getCLValue: lookupCache.getCLValue,
             page,
         };
 
@@ -202,34 +536,61 @@ async function main() {
             FORCE_CL_OVERWRITE,
             FORCE_CONFIDENCE_OVERWRITE,
             FORCE_GRADE_OVERWRITE,
-            lastScrapedValue,
-            lastPsaDetails,
+            MISMATCH_POLICY: mismatchPolicy,
+            lastScrapedValue: state.lastScrapedValue,
+            lastPsaDetails: state.lastPsaDetails,
             rowNumber,
         };
 
+        // One NDJSON line per row when RESULTS_FILE is set
+        const rowStartedAt = new Date();
+        const lookups = resultsExport ? timeLookups(services) : null;
+        const exportResult = (result, error) => {
+            if (!resultsExport) return;
+            resultsExport.write(
+                buildResultRecord({
+                    flow: 'csv',
+                    location: { file: inputFilename },
+                    row: rowNumber,
+                    rowData,
+                    result,
+                    error,
+                    startedAt: rowStartedAt,
+                    timings: lookups.timings,
+                })
+            );
+        };
+
         try {
-            const result = await processRow(rowData, services, options);
+            const result = await processRow(rowData, lookups ? lookups.services : services, options);
+            exportResult(result);
+            if (result.mismatch) mismatches.push(result.mismatch);
+            if (result.correction) corrections.push(result.correction);
 
             // Apply updates to `values` array
-            if (result.writeName) setVal('Card Name', result.writeName);
-            if (result.writeNumber) setVal('Card Number', result.writeNumber);
-            if (result.writeGrade) setVal('Grade', result.writeGrade);
-            if (result.writeValue) setVal('CL Market Value', result.writeValue);
-            if (result.writeConfidence) setVal('CL Confidence Level', result.writeConfidence);
+            if (result.writeName) setVal('name', result.writeName);
+            if (result.writeNumber) setVal('number', result.writeNumber);
+            if (result.writeGrade) setVal('grade', result.writeGrade);
+            if (result.writeValue) setVal('value', result.writeValue);
+            if (result.writeConfidence) setVal('confidence', result.writeConfidence);
 
             // State updates
-            lastScrapedValue = result.updatedLastScrapedValue;
-            lastPsaDetails = result.updatedLastPsaDetails;
+            state.lastScrapedValue = result.updatedLastScrapedValue;
+            state.lastPsaDetails = result.updatedLastPsaDetails;
 
             // Update prevRowData for next iteration
             prevRowData = {
-                prevName: getVal('Card Name'),
-                prevNumber: getVal('Card Number'),
-                prevGrade: getVal('Grade'),
+                prevName: getVal('name'),
+                prevNumber: getVal('number'),
+                prevGrade: getVal('grade'),
             };
 
-            // Write row to output
-            outputStream.write(values.map(escapeCsvValue).join(',') + '\n');
+            // Write row to output, with the same red marks as index.js (.xlsx only)
+            setStatus(describeRowStatus(result));
+            const errorColumns = planCellWrites(result, fieldColumns, WRITE_MODE)
+                .filter((write) => write.property === 'backgroundColor')
+                .map((write) => write.cell.index);
+            writeRecord(values, errorColumns);
 
             processedCount++;
 
@@ -237,17 +598,77 @@ async function main() {
             console.error(`❌ Error processing row ${rowNumber}:`, err);
             // Write original row on error to preserve data? Or partial?
             // Let's write what we have (values) which might be partially updated or original
-            outputStream.write(values.map(escapeCsvValue).join(',') + '\n');
+            errorCount++;
+            setStatus(describeRowStatus(null, err));
+            exportResult(null, err);
+            writeRecord(values);
         }
     }
 
-    console.log(`\n✅ Processing complete. ${processedCount} rows processed.`);
-    outputStream.end();
-    await browser.close();
+    if (!headersFound && !shutdown.requested) {
+        const [missingCert] = findMissingColumns(columns, ['cert'], columnAliases);
+        abort(`${missingCert} in ${inputFilename}`);
+    }
+
+    if (shutdown.requested) {
+        // Rows from the earlier run that were not reached are kept
+        for (const row of resume ? resume.remaining() : []) {
+            recordNumber++;
+            writeRecord(row, previousOutput.errorColumns.get(row));
+        }
+        console.log(
+            `\n🛑 Stopped early. ${processedCount} rows processed; run again to continue where ${outputFilename} ends.`
+        );
+    } else {
+        console.log(`\n✅ Processing complete. ${processedCount} rows processed.`);
+    }
+    if (resume && resume.reused + resume.retried > 0) {
+        console.log(
+            `♻️ Kept ${resume.reused} rows from the earlier run; retried ${resume.retried}.`
+        );
+    }
+
+    if (mismatches.length > 0) {
+        console.warn('⚠️ Found Mismatches (not overwritten):');
+        console.table(mismatches);
+    }
+    if (corrections.length > 0) {
+        console.log(`✏️ Auto-corrected ${corrections.length} values above the mismatch threshold:`);
+        console.table(corrections);
+    }
+
+    // Data-quality warning: the same cert on several rows (looked up only once)
+    const duplicateCerts = findDuplicateCerts(certRows);
+    if (duplicateCerts.length > 0) {
+        console.warn(
+            `⚠️ Duplicate certs (${lookupCache.hits - hitsBefore} repeated lookups reused the first result):`
+        );
+        console.table(duplicateCerts);
+    }
+    if (headersFound || !previousOutput) {
+        await output.close();
+        fs.renameSync(partialFilename, outputFilename);
+    } else {
+        // Stopped before the header row
+        finishBeforeHeader();
+    }
+
+    return {
+        inputFilename,
+        outputFilename,
+        status: shutdown.requested ? 'Stopped' : 'Done',
+        processedCount,
+        reused: resume ? resume.reused : 0,
+        retried: resume ? resume.retried : 0,
+        errorCount,
+        mismatches,
+        corrections,
+        duplicateCerts,
+    };
 }
 
 if (require.main === module) {
     main();
 }
 
-module.exports = { main, parseCsvLine, escapeCsvValue };
+module.exports = { main, getOutputFilename, parseCsvLine, escapeCsvValue };